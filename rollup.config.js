@@ -4,6 +4,20 @@ import resolve from 'rollup-plugin-node-resolve'
 import builtins from 'rollup-plugin-node-builtins'
 import globals from 'rollup-plugin-node-globals'
 import commonjs from 'rollup-plugin-commonjs'
+import babel from 'rollup-plugin-babel'
+
+// the browser bundles are transpiled, except for the async functions: every browser
+// that runs Web Workers with transferables has them, and their transpiled form
+// would need the regenerator runtime
+const babelOptions = {
+  exclude: 'node_modules/**',
+  presets: [
+    ['@babel/preset-env', {
+      modules: false,
+      exclude: ['transform-regenerator', 'transform-async-to-generator'],
+    }],
+  ],
+}
 
 
 export default [
@@ -20,7 +34,8 @@ export default [
       resolve(),
       commonjs({ include: 'node_modules/**' }),
       globals(),
-      builtins()
+      builtins(),
+      babel(babelOptions)
     ]
   },
 
@@ -38,6 +53,7 @@ export default [
       commonjs({ include: 'node_modules/**' }),
       globals(),
       builtins(),
+      babel(babelOptions),
       terser()]
   },
 
@@ -62,6 +78,23 @@ export default [
    },
 
 
+  // Web Worker, to be loaded with `new Worker(url)`, see parseInWorker
+  {
+    input: 'src/worker.js',
+    output: {
+      file: pkg.unpkg.replace(".js", '.worker.js'),
+      sourcemap: true,
+      format: 'iife',
+    },
+    plugins: [
+      resolve(),
+      commonjs({ include: 'node_modules/**' }),
+      globals(),
+      builtins(),
+      babel(babelOptions)
+    ]
+  },
+
    // CJS
   {
     input: pkg.entry,
@@ -0,0 +1,569 @@
+import SwcParser from './SwcParser'
+import PointTable from './PointTable'
+import ISSUE_TYPES from './IssueTypes'
+import SWC_TYPES from './SWCTypes'
+
+// the Neurolucida keywords that tell the type of a tree, with the matching SWC type
+const TREE_TYPES = {
+  Axon: SWC_TYPES.AXON,
+  Dendrite: SWC_TYPES.BASAL_DENDRITE,
+  Apical: SWC_TYPES.APICAL_DENDRITE,
+}
+
+// the top level blocks that describe the file or the images, not the morphology
+const IGNORED_BLOCKS = ['Description', 'ImageCoords', 'Sections', 'Thumbnail']
+
+// the names given to the soma contours, when the (CellBody) property is missing
+const SOMA_CONTOUR_REGEX = /^(cell ?body|soma)$/i
+
+// the characters that end a word
+const WORD_END_CHARS = ' \t\r\n\f\v,()<>|;"'
+
+
+/**
+ * An AscParser reads the Neurolucida ASC files (the text version of the Neurolucida
+ * format), where the trees are nested S-expressions, and outputs the same raw morphology
+ * and morphologycorejs Morphology as SwcParser. It has all the getters of SwcParser.
+ *
+ * The points of the file are numbered from 1 in the order they are written and get the
+ * SWC type of their tree: (Axon) is 2, (Dendrite) is 3 and (Apical) is 4. The contours
+ * with the (CellBody) property make the soma, with a radius that is the mean distance
+ * of their points to their center, and get the type 1. These are always the standard
+ * types, whatever the SwcTypeRegistry of the options. The first point of every tree is
+ * attached to the closest soma point.
+ * The markers (eg. `(Dot (Name "M1") (1 2 3 0.5))`), the spines (`<(1 2 3 0.5)>`) and
+ * the other contours are not part of the morphology but are available with
+ * `getAnnotations()`.
+ * The comments that take a whole line (starting with ';') end up in the metadata,
+ * like the comments of a SWC header.
+ *
+ * ```JavaScript
+ * const ascParser = new AscParser()
+ * const diagnostics = ascParser.parse(ascString)
+ * const morphology = ascParser.getMorphology()
+ * const spines = ascParser.getAnnotations().filter(a => a.kind === 'spine')
+ * ```
+ */
+class AscParser extends SwcParser {
+  /**
+   * @param {Object} options - the parse options, same as for SwcParser, except that
+   * the soma convention is 'contour' by default, which is also the one detected for the
+   * soma contours with `somaConvention: 'auto'`
+   */
+  constructor(options = {}) {
+    super(Object.assign({ somaConvention: 'contour' }, options))
+    this._annotations = []
+  }
+
+
+  /**
+   * Parses an ASC string into a PointTable only, without building any TreeNode, section
+   * or morphology. The annotations are read as well.
+   * @param {String} ascStr - the string that comes from the ASC file
+   * @return {PointTable} the points, numbered from 1 in the order of the file
+   */
+  parsePointTable(ascStr) {
+    this._reset()
+    this._readAsc(ascStr)
+    return this._pointTable
+  }
+
+
+  /**
+   * Get the markers, the spines and the contours other than the soma of the last ASC
+   * parsed. Each of them is an Object of form:
+   *   {
+   *     kind: String, // 'marker', 'spine' or 'contour'
+   *     markerType: String|null, // for markers, the Neurolucida symbol, eg. 'Dot' or 'Cross'
+   *     name: String|null, // from the (Name "...") property or the name of the contour
+   *     color: String|null, // from the (Color ...) property, eg. 'Red' or 'rgb(255, 0, 0)'
+   *     points: Array, // of form { position: [x, y, z], radius: Number }
+   *     pointId: Number|null, // id of the tree point written right before, if any
+   *     line: Number, // line number in the file
+   *   }
+   * @return {Array}
+   */
+  getAnnotations() {
+    return this._annotations
+  }
+
+
+  /**
+   * @private
+   * Forget about the result of the previous parsing
+   */
+  _reset() {
+    super._reset()
+    this._annotations = []
+  }
+
+
+  /**
+   * @private
+   * The tokenizing stage of `parseAsync()`. The S-expressions cannot be read by batches
+   * of lines, so this is done in one go.
+   * @param {String} ascStr - the string that comes from the ASC file
+   * @param {Function} progress - to call with the fraction done
+   * @return {Promise}
+   */
+  async _tokenizeAsync(ascStr, progress) {
+    this._readAsc(ascStr)
+    await progress(1)
+  }
+
+
+  /**
+   * @private
+   * Read the ASC string into the PointTable and the annotations of _this_ parser,
+   * then build the metadata
+   * @param {String} ascStr - the string that comes from the ASC file
+   */
+  _readAsc(ascStr) {
+    const expressions = AscParser._readExpressions(
+      ascStr,
+      this._options,
+      this._diagnostics,
+      c => this._comments.push(c),
+    )
+
+    // all the points, as in SwcParser.extractPoints()
+    const points = []
+    // the indices of the first point of each tree and of the soma points
+    const rootIndices = []
+    const somaIndices = []
+
+    expressions.forEach((expression) => {
+      if (expression.kind === 'spine') {
+        this._annotations.push(AscParser._buildAnnotation('spine', expression, null))
+        return
+      }
+
+      if (expression.kind !== 'list' || !expression.items.length) {
+        return
+      }
+
+      const keyword = AscParser._getKeyword(expression)
+      const propertyKeywords = expression.items.map(AscParser._getKeyword)
+
+      if (expression.items[0].kind === 'string' || propertyKeywords.includes('CellBody')) {
+        this._readContour(expression, propertyKeywords, points, somaIndices)
+      } else if (keyword !== null) {
+        if (!IGNORED_BLOCKS.includes(keyword) && expression.items.some(AscParser._isPoint)) {
+          this._annotations.push(AscParser._buildAnnotation('marker', expression, null))
+        }
+      } else {
+        this._readTree(expression, propertyKeywords, points, rootIndices)
+      }
+    })
+
+    // attaching the trees to the soma
+    if (somaIndices.length) {
+      rootIndices.forEach((i) => {
+        const [somaPointId] = AscParser._findClosest(points, somaIndices, points[i])
+        points[i][6] = somaPointId
+      })
+    }
+
+    this._pointTable = PointTable.fromPoints(points, {
+      floatPrecision: this._options.floatPrecision,
+    })
+    this._endTokenizing()
+  }
+
+
+  /**
+   * @private
+   * Read a contour. A soma contour adds its points to the list, the others are
+   * kept as annotations.
+   * @param {Object} expression - the contour
+   * @param {Array} propertyKeywords - the keyword of each item of the contour
+   * @param {Array} points - the points read so far
+   * @param {Array} somaIndices - the indices of the soma points read so far
+   */
+  _readContour(expression, propertyKeywords, points, somaIndices) {
+    const name = expression.items[0].kind === 'string' ? expression.items[0].value : null
+
+    if (!propertyKeywords.includes('CellBody') && !SOMA_CONTOUR_REGEX.test(name || '')) {
+      this._annotations.push(AscParser._buildAnnotation('contour', expression, null))
+      return
+    }
+
+    const contour = expression.items
+      .filter(item => this._checkPoint(item))
+      .map(item => AscParser._readPoint(item))
+
+    if (!contour.length) {
+      return
+    }
+
+    // the radius of a contour is the mean distance of its points to its center
+    const center = [0, 1, 2].map(axis => contour
+      .reduce((sum, p) => sum + p.position[axis], 0) / contour.length)
+    const radius = contour.reduce((sum, p) => sum + Math.hypot(
+      p.position[0] - center[0],
+      p.position[1] - center[1],
+      p.position[2] - center[2],
+    ), 0) / contour.length
+
+    // the points of a contour are chained and the contours are attached to the first one
+    let parentId = somaIndices.length ? points[somaIndices[0]][0] : -1
+    contour.forEach((p) => {
+      const id = points.length + 1
+      points.push([id, SWC_TYPES.SOMA, ...p.position, radius, parentId, p.line])
+      somaIndices.push(points.length - 1)
+      parentId = id
+    })
+  }
+
+
+  /**
+   * @private
+   * Read a tree and all its branches
+   * @param {Object} expression - the tree
+   * @param {Array} propertyKeywords - the keyword of each item of the tree
+   * @param {Array} points - the points read so far
+   * @param {Array} rootIndices - the indices of the first point of each tree read so far
+   */
+  _readTree(expression, propertyKeywords, points, rootIndices) {
+    const keyword = propertyKeywords.find(k => k in TREE_TYPES)
+    let type = SWC_TYPES.UNDEFINED
+
+    if (keyword) {
+      type = TREE_TYPES[keyword]
+    } else {
+      SwcParser._reportFix(
+        ISSUE_TYPES.UNKNOWN_TREE_TYPE,
+        `Line ${expression.line}: the tree has no type (Axon, Dendrite or Apical).`,
+        'Its points get the type 0 (undefined).',
+        { line: expression.line },
+        this._options,
+        this._diagnostics,
+      )
+    }
+
+    // each branch is read from the point it starts from, in the order of the file
+    const stack = [{ items: expression.items, parentId: -1 }]
+
+    while (stack.length) {
+      const { items, parentId } = stack.pop()
+      let lastId = parentId
+
+      items.forEach((item) => {
+        if (this._checkPoint(item)) {
+          const p = AscParser._readPoint(item)
+          const id = points.length + 1
+          points.push([id, type, ...p.position, p.radius, lastId, p.line])
+
+          if (lastId === -1) {
+            rootIndices.push(points.length - 1)
+          }
+          lastId = id
+        } else if (item.kind === 'spine') {
+          this._annotations.push(AscParser._buildAnnotation('spine', item, AscParser._toPointId(lastId)))
+        } else if (item.kind === 'list' && AscParser._getKeyword(item) === null
+          && !AscParser._isNumber(item.items[0])) {
+          // a list of branches separated by '|'
+          const branches = AscParser._splitBranches(item.items)
+          for (let i = branches.length - 1; i >= 0; i -= 1) {
+            stack.push({ items: branches[i], parentId: lastId })
+          }
+        } else if (item.kind === 'list' && item.items.some(AscParser._isPoint)) {
+          this._annotations.push(AscParser._buildAnnotation('marker', item, AscParser._toPointId(lastId)))
+        }
+        // the rest is properties, like (Color Red), or endings, like Normal or Incomplete
+      })
+    }
+  }
+
+
+  /**
+   * @private
+   * Tell if an item is a point and report the lists that look like a point but
+   * have invalid numbers
+   * @param {Object} item - an item of an S-expression
+   * @return {Boolean} true if this is a valid point
+   */
+  _checkPoint(item) {
+    if (AscParser._isPoint(item)) {
+      return true
+    }
+
+    // a list of at least 3 words, most of them numbers
+    const looksLikePoint = item.kind === 'list'
+      && item.items.length >= 3
+      && item.items.every(i => i.kind === 'word')
+      && item.items.slice(0, 3).filter(AscParser._isNumber).length >= 2
+
+    if (looksLikePoint) {
+      SwcParser._reportFix(
+        ISSUE_TYPES.INVALID_NUMBER,
+        `Line ${item.line}: the point (${item.items.map(i => i.value).join(' ')}) does not have 3 valid coordinates.`,
+        'It is ignored.',
+        { line: item.line },
+        this._options,
+        this._diagnostics,
+      )
+    }
+    return false
+  }
+
+
+  /**
+   * @private
+   * Read the S-expressions of an ASC string. Each expression is an Object of form
+   * { kind: String, line: Number } where the kind is 'list' for '(...)', 'spine' for
+   * '<...>', 'bar' for the '|' between branches, 'string' for '"..."' and 'word' for
+   * the rest (keywords and numbers). The lists and spines have the expressions they
+   * contain as `items`, the strings and words have their text as `value`.
+   * @param {String} ascStr - the string that comes from the ASC file
+   * @param {Object} options - the complete parse options
+   * @param {Diagnostics} diagnostics - the report to add the issues to
+   * @param {Function} onComment - called with the comments that take a whole line, with an
+   * Object of form { line: Number, text: String }, the text being what comes after the ';'
+   * @return {Array} the top level expressions
+   */
+  static _readExpressions(ascStr, options, diagnostics, onComment) {
+    const root = { kind: 'list', items: [], line: 1 }
+    const stack = [root]
+    const { length } = ascStr
+    let line = 1
+    let lineStart = 0
+    let i = 0
+
+    while (i < length) {
+      const c = ascStr[i]
+      const top = stack[stack.length - 1]
+
+      if (c === '\n') {
+        line += 1
+        i += 1
+        lineStart = i
+      } else if (c === ';') {
+        const end = ascStr.indexOf('\n', i) === -1 ? length : ascStr.indexOf('\n', i)
+
+        // the comments at the end of a line of data are not kept
+        if (!ascStr.slice(lineStart, i).trim().length) {
+          onComment({ line, text: ascStr.slice(i + 1, end).trim() })
+        }
+        i = end
+      } else if (c === '"') {
+        const end = ascStr.indexOf('"', i + 1) === -1 ? length : ascStr.indexOf('"', i + 1)
+        const value = ascStr.slice(i + 1, end)
+        top.items.push({ kind: 'string', value, line })
+        line += value.split('\n').length - 1
+        i = end + 1
+      } else if (c === '(' || c === '<') {
+        const expression = { kind: c === '(' ? 'list' : 'spine', items: [], line }
+        top.items.push(expression)
+        stack.push(expression)
+        i += 1
+      } else if (c === ')' || c === '>') {
+        if (stack.length > 1 && top.kind === (c === ')' ? 'list' : 'spine')) {
+          stack.pop()
+        } else {
+          SwcParser._reportFix(
+            ISSUE_TYPES.SYNTAX_ERROR,
+            `Line ${line}: the "${c}" does not close anything.`,
+            'It is ignored.',
+            { line, column: i - lineStart + 1 },
+            options,
+            diagnostics,
+          )
+        }
+        i += 1
+      } else if (c === '|') {
+        top.items.push({ kind: 'bar', line })
+        i += 1
+      } else if (WORD_END_CHARS.includes(c)) {
+        i += 1
+      } else {
+        let end = i + 1
+        while (end < length && !WORD_END_CHARS.includes(ascStr[end])) {
+          end += 1
+        }
+        top.items.push({ kind: 'word', value: ascStr.slice(i, end), line })
+        i = end
+      }
+    }
+
+    if (stack.length > 1) {
+      const unclosed = stack[stack.length - 1]
+      SwcParser._reportFix(
+        ISSUE_TYPES.SYNTAX_ERROR,
+        `The file ends before ${stack.length - 1} expression(s) are closed, the last one opened line ${unclosed.line}.`,
+        'They are closed at the end of the file.',
+        { line: unclosed.line },
+        options,
+        diagnostics,
+      )
+    }
+
+    return root.items
+  }
+
+
+  /**
+   * @private
+   * @param {Object} item - an item of an S-expression
+   * @return {Boolean} true if the item is a word that is a number
+   */
+  static _isNumber(item) {
+    return !!item && item.kind === 'word' && Number.isFinite(Number(item.value))
+  }
+
+
+  /**
+   * @private
+   * @param {Object} item - an item of an S-expression
+   * @return {Boolean} true if the item is a point, of form (x y z) or (x y z diameter),
+   * possibly followed by other words
+   */
+  static _isPoint(item) {
+    return item.kind === 'list'
+      && item.items.length >= 3
+      && item.items.slice(0, 3).every(AscParser._isNumber)
+  }
+
+
+  /**
+   * @private
+   * Read a point. The ASC files give the diameter, not the radius.
+   * @param {Object} item - a point, as tested with `_isPoint()`
+   * @return {Object} of form { position: [x, y, z], radius: Number, line: Number }
+   */
+  static _readPoint(item) {
+    const values = item.items.slice(0, 4).map(i => Number(i.value))
+    return {
+      position: values.slice(0, 3),
+      radius: AscParser._isNumber(item.items[3]) ? values[3] / 2 : 0,
+      line: item.line,
+    }
+  }
+
+
+  /**
+   * @private
+   * Get the keyword of a property, marker or block, like 'Color' in (Color Red)
+   * @param {Object} item - an item of an S-expression
+   * @return {String|null} the first word of the list, if this is not a number
+   */
+  static _getKeyword(item) {
+    if (item.kind !== 'list' || !item.items.length) {
+      return null
+    }
+
+    const first = item.items[0]
+    return first.kind === 'word' && !AscParser._isNumber(first) ? first.value : null
+  }
+
+
+  /**
+   * @private
+   * Split the items of a list of branches at the '|'
+   * @param {Array} items - the items of the list
+   * @return {Array} the items of each branch
+   */
+  static _splitBranches(items) {
+    const branches = [[]]
+    items.forEach((item) => {
+      if (item.kind === 'bar') {
+        branches.push([])
+      } else {
+        branches[branches.length - 1].push(item)
+      }
+    })
+    return branches
+  }
+
+
+  /**
+   * @private
+   * Build an annotation from a marker, a spine or a contour (see `getAnnotations()`)
+   * @param {String} kind - 'marker', 'spine' or 'contour'
+   * @param {Object} expression - the S-expression
+   * @param {Number} pointId - id of the tree point written right before, can be null
+   * @return {Object} the annotation
+   */
+  static _buildAnnotation(kind, expression, pointId) {
+    const annotation = {
+      kind,
+      markerType: kind === 'marker' ? AscParser._getKeyword(expression) : null,
+      name: null,
+      color: null,
+      points: [],
+      pointId,
+      line: expression.line,
+    }
+
+    expression.items.forEach((item) => {
+      const keyword = AscParser._getKeyword(item)
+
+      if (AscParser._isPoint(item)) {
+        const { position, radius } = AscParser._readPoint(item)
+        annotation.points.push({ position, radius })
+      } else if (item.kind === 'string' && kind === 'contour') {
+        annotation.name = annotation.name || item.value
+      } else if (keyword === 'Name' && item.items[1]) {
+        annotation.name = item.items[1].value
+      } else if (keyword === 'Color' && item.items[1]) {
+        annotation.color = AscParser._readColor(item)
+      }
+    })
+
+    return annotation
+  }
+
+
+  /**
+   * @private
+   * @param {Object} item - a color property, like (Color Red) or (Color RGB (255, 0, 0))
+   * @return {String} the color, like 'Red' or 'rgb(255, 0, 0)'
+   */
+  static _readColor(item) {
+    const rgb = item.items[2]
+    if (item.items[1].value === 'RGB' && rgb && rgb.kind === 'list') {
+      return `rgb(${rgb.items.map(i => i.value).join(', ')})`
+    }
+    return item.items[1].value
+  }
+
+
+  /**
+   * @private
+   * @param {Number} id - a point id, or -1
+   * @return {Number|null} the id, or null if -1
+   */
+  static _toPointId(id) {
+    return id === -1 ? null : id
+  }
+
+
+  /**
+   * @private
+   * Find the closest of some points to a given point
+   * @param {Array} points - all the points
+   * @param {Array} indices - the indices of the points to look at
+   * @param {Array} point - the point to get close to
+   * @return {Array} the closest point
+   */
+  static _findClosest(points, indices, point) {
+    let closest = null
+    let minDistance = Infinity
+
+    indices.forEach((i) => {
+      const distance = Math.hypot(
+        points[i][2] - point[2],
+        points[i][3] - point[3],
+        points[i][4] - point[4],
+      )
+      if (distance < minDistance) {
+        minDistance = distance
+        closest = points[i]
+      }
+    })
+
+    return closest
+  }
+}
+
+export default AscParser
@@ -0,0 +1,174 @@
+/**
+ * A Diagnostics instance collects the issues found while parsing a morphology.
+ * Each issue is an Object of form:
+ *   {
+ *     type: String, // one of the values from IssueTypes
+ *     severity: String, // 'error', 'warning' or 'info'
+ *     line: Number|null, // line number in the source file (starting at 1)
+ *     lines: Array, // all the line numbers involved (contains line, if any)
+ *     pointId: Number|null, // id of the point involved, as written in the file
+ *     pointIds: Array, // ids of all the points involved (contains pointId, if any)
+ *     message: String, // human readable description
+ *   }
+ * This is what `SwcParser.parse()` returns, so that a pipeline can decide what to do
+ * with a file (reject, quarantine, log) without scraping the console.
+ */
+class Diagnostics {
+  constructor() {
+    this._issues = []
+  }
+
+
+  /**
+   * Build a Diagnostics instance from the output of `toJSON()`, for example after
+   * the report went through a JSON file or a `postMessage()`
+   * @param {Object} json - of form { issues: Array }
+   * @return {Diagnostics}
+   */
+  static fromJSON(json) {
+    const diagnostics = new Diagnostics()
+    diagnostics._issues = json.issues.slice()
+    return diagnostics
+  }
+
+
+  /**
+   * Add an issue to the report
+   * @param {String} type - type of issue, one of the values from IssueTypes
+   * @param {String} severity - 'error', 'warning' or 'info'
+   * @param {String} message - human readable description of the issue
+   * @param {Object} location - where the issue comes from
+   * @param {Number} location.line - line number in the source file (default: null)
+   * @param {Number} location.pointId - id of the point involved (default: null)
+   * @param {Array} location.pointIds - ids of all the points involved, when there is
+   * more than one (default: [pointId] or [])
+   * @param {Array} location.lines - all the line numbers involved, when there is
+   * more than one (default: [line] or [])
+   */
+  add(type, severity, message, {
+    line = null,
+    lines = null,
+    pointId = null,
+    pointIds = null,
+  } = {}) {
+    let ids = pointIds
+    if (!ids) {
+      ids = pointId === null ? [] : [pointId]
+    }
+
+    this._issues.push({
+      type,
+      severity,
+      line,
+      lines: lines || (line === null ? [] : [line]),
+      pointId,
+      pointIds: ids,
+      message,
+    })
+  }
+
+
+  /**
+   * Add an issue of severity 'error'
+   * @param {String} type - type of issue, one of the values from IssueTypes
+   * @param {String} message - human readable description of the issue
+   * @param {Object} location - optional, of form { line: Number, lines: Array,
+   * pointId: Number, pointIds: Array }
+   */
+  error(type, message, location) {
+    this.add(type, 'error', message, location)
+  }
+
+
+  /**
+   * Add an issue of severity 'warning'
+   * @param {String} type - type of issue, one of the values from IssueTypes
+   * @param {String} message - human readable description of the issue
+   * @param {Object} location - optional, of form { line: Number, lines: Array,
+   * pointId: Number, pointIds: Array }
+   */
+  warning(type, message, location) {
+    this.add(type, 'warning', message, location)
+  }
+
+
+  /**
+   * Add an issue of severity 'info'
+   * @param {String} type - type of issue, one of the values from IssueTypes
+   * @param {String} message - human readable description of the issue
+   * @param {Object} location - optional, of form { line: Number, lines: Array,
+   * pointId: Number, pointIds: Array }
+   */
+  info(type, message, location) {
+    this.add(type, 'info', message, location)
+  }
+
+
+  /**
+   * Get all the issues, in the order they were reported
+   * @return {Array} array of issues
+   */
+  getIssues() {
+    return this._issues
+  }
+
+
+  /**
+   * Get the issues of a given severity
+   * @param {String} severity - 'error', 'warning' or 'info'
+   * @return {Array} array of issues
+   */
+  getIssuesBySeverity(severity) {
+    return this._issues.filter(issue => issue.severity === severity)
+  }
+
+
+  /**
+   * Get the issues of a given type
+   * @param {String} type - one of the values from IssueTypes
+   * @return {Array} array of issues
+   */
+  getIssuesByType(type) {
+    return this._issues.filter(issue => issue.type === type)
+  }
+
+
+  /**
+   * @return {Boolean} true if at least one issue has the severity 'error'
+   */
+  hasErrors() {
+    return this._issues.some(issue => issue.severity === 'error')
+  }
+
+
+  /**
+   * @return {Boolean} true if at least one issue has the severity 'warning'
+   */
+  hasWarnings() {
+    return this._issues.some(issue => issue.severity === 'warning')
+  }
+
+
+  /**
+   * Get the number of issues
+   * @return {Number}
+   */
+  getNumberOfIssues() {
+    return this._issues.length
+  }
+
+
+  /**
+   * Get a plain-object version of the report, convenient for JSON serialization
+   * @return {Object} of form { errors: Number, warnings: Number, issues: Array }
+   */
+  toJSON() {
+    return {
+      errors: this.getIssuesBySeverity('error').length,
+      warnings: this.getIssuesBySeverity('warning').length,
+      issues: this._issues.slice(),
+    }
+  }
+}
+
+export default Diagnostics
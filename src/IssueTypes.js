@@ -0,0 +1,39 @@
+/*
+ * Defines the types of issue that can be reported in a parse diagnostics report.
+ * The value of each type is the string that ends up in the `type` field of an issue.
+ */
+export default {
+  NO_SECTION: 'NO_SECTION',
+  NO_SOMA: 'NO_SOMA',
+  NO_DATA: 'NO_DATA',
+  ROW_TOO_SHORT: 'ROW_TOO_SHORT',
+  VALUE_ROUNDED: 'VALUE_ROUNDED',
+  INVALID_NUMBER: 'INVALID_NUMBER',
+  MISSING_PARENT: 'MISSING_PARENT',
+  CYCLE: 'CYCLE',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  INVALID_HEADER_VALUE: 'INVALID_HEADER_VALUE',
+  CORRECTION_APPLIED: 'CORRECTION_APPLIED',
+  SYNTAX_ERROR: 'SYNTAX_ERROR',
+  UNKNOWN_TREE_TYPE: 'UNKNOWN_TREE_TYPE',
+  INVALID_ELEMENT: 'INVALID_ELEMENT',
+  IGNORED_CONTENT: 'IGNORED_CONTENT',
+  SOMA_CONVENTION: 'SOMA_CONVENTION',
+  MULTIPLE_SOMAS: 'MULTIPLE_SOMAS',
+  SOMA_IN_NEURITE: 'SOMA_IN_NEURITE',
+  // reported by the default rules of a Validator
+  PARENT_ID_LARGER: 'PARENT_ID_LARGER',
+  NON_POSITIVE_RADIUS: 'NON_POSITIVE_RADIUS',
+  DUPLICATE_POSITION: 'DUPLICATE_POSITION',
+  LONG_SEGMENT: 'LONG_SEGMENT',
+  TYPE_CHANGE: 'TYPE_CHANGE',
+  SOMA_NOT_ROOT: 'SOMA_NOT_ROOT',
+  TRIFURCATION: 'TRIFURCATION',
+  TOO_MANY_CHILDREN: 'TOO_MANY_CHILDREN',
+  // logged by the default passes of a Repairer
+  POINT_RETYPED: 'POINT_RETYPED',
+  DUPLICATE_POINT_MERGED: 'DUPLICATE_POINT_MERGED',
+  ZERO_LENGTH_SEGMENT_REMOVED: 'ZERO_LENGTH_SEGMENT_REMOVED',
+  RADIUS_INTERPOLATED: 'RADIUS_INTERPOLATED',
+  FRAGMENT_RECONNECTED: 'FRAGMENT_RECONNECTED',
+}
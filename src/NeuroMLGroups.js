@@ -0,0 +1,14 @@
+import SWC_TYPES from './SWCTypes'
+
+/*
+ * The NeuroML2 segment groups used for the SWC types, following the NeuroML conventions,
+ * with their NeuroLex id when they have one. The basal and apical dendrites are both
+ * part of DENDRITE.
+ */
+export default {
+  SOMA: { id: 'soma_group', neuroLexId: 'sao1044911821', type: SWC_TYPES.SOMA },
+  AXON: { id: 'axon_group', neuroLexId: 'sao864921383', type: SWC_TYPES.AXON },
+  DENDRITE: { id: 'dendrite_group', neuroLexId: 'sao1211023249', type: SWC_TYPES.BASAL_DENDRITE },
+  BASAL_DENDRITE: { id: 'basal_dendrite_group', neuroLexId: null, type: SWC_TYPES.BASAL_DENDRITE },
+  APICAL_DENDRITE: { id: 'apical_dendrite_group', neuroLexId: null, type: SWC_TYPES.APICAL_DENDRITE },
+}
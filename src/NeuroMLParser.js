@@ -0,0 +1,615 @@
+import SwcParser from './SwcParser'
+import PointTable from './PointTable'
+import ISSUE_TYPES from './IssueTypes'
+import SwcParseError from './SwcParseError'
+import SWC_TYPES from './SWCTypes'
+import NEUROML_GROUPS from './NeuroMLGroups'
+
+// the pieces of XML: comments, declarations, CDATA and tags
+// (with their closing slash, name, attributes and self-closing slash)
+const XML_REGEX = /<!--([\s\S]*?)-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>/
+
+// the attributes of a tag
+const ATTRIBUTE_REGEX = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/
+
+// when a segment is in several groups, the type with the smallest priority wins
+const TYPE_PRIORITIES = [
+  SWC_TYPES.SOMA,
+  SWC_TYPES.AXON,
+  SWC_TYPES.APICAL_DENDRITE,
+  SWC_TYPES.BASAL_DENDRITE,
+]
+
+
+/**
+ * A NeuroMLParser reads the `<morphology>` of a NeuroML2 file and outputs the same
+ * TreeNodeCollection, raw morphology and morphologycorejs Morphology as SwcParser.
+ * It has all the getters of SwcParser. Only the first `<morphology>` of the file is read.
+ *
+ * Every segment becomes a point at its distal end. Its proximal end becomes a point too
+ * when the segment has no parent or when it does not start where its parent ends. The
+ * points are numbered from 1 in the order of the segments and `getSegmentId()` tells
+ * which segment a point comes from.
+ * A segment is attached either at the start of its parent (fractionAlong 0) or at its
+ * distal end: any other fractionAlong is reported as a warning and taken as 1.
+ *
+ * The SWC type of a segment comes from the segment groups it belongs to, directly or
+ * through `<include>`: the groups with the NeuroLex id of the soma, axon or dendrite,
+ * or whose id contains 'soma', 'axon', 'apical' or 'dend', or is of form 'type_N_group'
+ * (as written by NeuroMLWriter). Other groups can be given a type with the option
+ * `groupTypes`. The `<path>` and `<subTree>` of the segment groups are not supported.
+ * The soma, axon and dendrite groups always give the standard types 1 to 4: the
+ * SwcTypeRegistry of the options does not change how the types are given, only what
+ * they mean once the points are read (eg. the points of a 'type_10_group' make the
+ * soma if the type 10 is registered as a soma).
+ *
+ * ```JavaScript
+ * const parser = new NeuroMLParser({ groupTypes: { oblique_dendrites: 4 } })
+ * const diagnostics = parser.parse(neuroMLString)
+ * const morphology = parser.getMorphology()
+ * ```
+ */
+class NeuroMLParser extends SwcParser {
+  /**
+   * @param {Object} options - the parse options, same as for SwcParser, plus:
+   * @param {Object} options.groupTypes - the SWC type of some segment groups, with the ids
+   * of the groups as keys (default: {})
+   */
+  constructor(options = {}) {
+    super(options)
+    this._pointSegments = new Map()
+  }
+
+
+  /**
+   * Parses a NeuroML2 string into a PointTable only, without building any TreeNode,
+   * section or morphology
+   * @param {String} neuroMLStr - the string that comes from the NeuroML2 file
+   * @return {PointTable} the points, numbered from 1 in the order of the segments
+   */
+  parsePointTable(neuroMLStr) {
+    this._reset()
+    this._readNeuroML(neuroMLStr)
+    return this._pointTable
+  }
+
+
+  /**
+   * Get the segment a point comes from
+   * @param {Number} pointId - id of the point
+   * @return {Number|null} id of the segment, as written in the NeuroML2 file,
+   * or null if there is no such point
+   */
+  getSegmentId(pointId) {
+    return this._pointSegments.has(pointId) ? this._pointSegments.get(pointId) : null
+  }
+
+
+  /**
+   * @private
+   * Forget about the result of the previous parsing
+   */
+  _reset() {
+    super._reset()
+    this._pointSegments = new Map()
+  }
+
+
+  /**
+   * @private
+   * The tokenizing stage of `parseAsync()`, done in one go
+   * @param {String} neuroMLStr - the string that comes from the NeuroML2 file
+   * @param {Function} progress - to call with the fraction done
+   * @return {Promise}
+   */
+  async _tokenizeAsync(neuroMLStr, progress) {
+    this._readNeuroML(neuroMLStr)
+    await progress(1)
+  }
+
+
+  /**
+   * @private
+   * Read the NeuroML2 string into the PointTable of _this_ parser, then build the metadata
+   * @param {String} neuroMLStr - the string that comes from the NeuroML2 file
+   */
+  _readNeuroML(neuroMLStr) {
+    const { segments, groups } = this._readElements(neuroMLStr)
+    const segmentTypes = this._findSegmentTypes(segments, groups)
+    const segmentsById = new Map(segments.map(s => [s.id, s]))
+
+    // the segments that have their own proximal point
+    const hasProximal = new Set()
+    segments.forEach((s) => {
+      const parent = segmentsById.get(s.parentId)
+      if (s.parentId !== null && !parent) {
+        SwcParser._reportFix(
+          ISSUE_TYPES.MISSING_PARENT,
+          `Line ${s.line}: the segment ${s.id} refers to the parent segment ${s.parentId}, that does not exist.`,
+          'It is the root of a new tree.',
+          { line: s.line },
+          this._options,
+          this._diagnostics,
+        )
+      }
+    })
+
+    // a loop in the parent segments would make the points impossible to number
+    this._breakSegmentCycles(segments, segmentsById)
+
+    segments.forEach((s) => {
+      const parent = segmentsById.get(s.parentId)
+      if (!s.proximal) {
+        return
+      }
+
+      const start = parent ? NeuroMLParser._getAttachPosition(s, segmentsById) : s.distal.position
+      if (!NeuroMLParser._samePosition(s.proximal.position, start)) {
+        hasProximal.add(s)
+      }
+    })
+
+    // numbering the points in the order of the segments
+    const proximalIds = new Map()
+    const distalIds = new Map()
+    let nextId = 1
+    segments.forEach((s) => {
+      if (hasProximal.has(s)) {
+        proximalIds.set(s, nextId)
+        nextId += 1
+      }
+      distalIds.set(s, nextId)
+      nextId += 1
+    })
+
+    // the id of the point a segment starts from
+    const getStartId = (segment) => {
+      const visited = new Set()
+      let s = segment
+      for (;;) {
+        if (proximalIds.has(s)) {
+          return proximalIds.get(s)
+        }
+
+        const parent = segmentsById.get(s.parentId)
+        if (!parent || visited.has(parent)) {
+          return -1
+        }
+        visited.add(s)
+
+        if (s.fractionAlong !== 0) {
+          return distalIds.get(parent)
+        }
+        s = parent
+      }
+    }
+
+    const points = []
+    segments.forEach((s) => {
+      const type = segmentTypes.get(s)
+
+      if (hasProximal.has(s)) {
+        const parent = segmentsById.get(s.parentId)
+        let attachId = -1
+        if (parent) {
+          attachId = s.fractionAlong !== 0 ? distalIds.get(parent) : getStartId(parent)
+        }
+        points.push([proximalIds.get(s), type, ...s.proximal.position, s.proximal.radius,
+          attachId, s.proximal.line])
+        this._pointSegments.set(proximalIds.get(s), s.id)
+      }
+
+      points.push([distalIds.get(s), type, ...s.distal.position, s.distal.radius,
+        hasProximal.has(s) ? proximalIds.get(s) : getStartId(s), s.distal.line])
+      this._pointSegments.set(distalIds.get(s), s.id)
+    })
+
+    this._pointTable = PointTable.fromPoints(points, {
+      floatPrecision: this._options.floatPrecision,
+    })
+    this._endTokenizing()
+  }
+
+
+  /**
+   * @private
+   * Find the loops in the parent segments (eg. A -> B -> A) and deal with them according
+   * to the option `onCycle`: either throw a SwcParseError or report it and remove the
+   * parent of the segment of the loop that comes first in the file, so that it becomes
+   * the root of a new tree. In strict mode, a loop always throws.
+   * @param {Array} segments - all the segments, in the order of the file
+   * @param {Map} segmentsById - the same segments, by id
+   */
+  _breakSegmentCycles(segments, segmentsById) {
+    const NOT_VISITED = 0
+    const IN_PATH = 1
+    const DONE = 2
+    const state = new Map()
+
+    segments.forEach((startSegment) => {
+      const path = []
+      let s = startSegment
+
+      while (s && (state.get(s) || NOT_VISITED) === NOT_VISITED) {
+        state.set(s, IN_PATH)
+        path.push(s)
+        s = segmentsById.get(s.parentId)
+      }
+
+      // we came back on a segment of the current path: this is a loop
+      if (s && state.get(s) === IN_PATH) {
+        const cycle = path.slice(path.indexOf(s))
+        const ids = cycle.map(c => c.id)
+        const first = cycle.reduce((a, b) => (b.line < a.line ? b : a))
+        const problem = `Line ${first.line}: the segments ${ids.join(' -> ')} -> ${ids[0]} form a loop.`
+        const location = { line: first.line, lines: cycle.map(c => c.line) }
+
+        if (this._options.onCycle === 'error') {
+          throw new SwcParseError(problem, Object.assign({ type: ISSUE_TYPES.CYCLE }, location))
+        }
+
+        SwcParser._reportFix(
+          ISSUE_TYPES.CYCLE,
+          problem,
+          `The parent of the segment ${first.id} is removed.`,
+          location,
+          this._options,
+          this._diagnostics,
+        )
+        first.parentId = null
+      }
+
+      path.forEach(p => state.set(p, DONE))
+    })
+  }
+
+
+  /**
+   * @private
+   * Read the segments and the segment groups of the first `<morphology>` of the file.
+   * The XML comments end up in the comments of _this_ parser.
+   * @param {String} neuroMLStr - the string that comes from the NeuroML2 file
+   * @return {Object} of form { segments: Array, groups: Array } where the segments are
+   * { id, name, parentId, fractionAlong, proximal, distal, line }, the proximal and distal
+   * being null or { position, radius, line }, and the groups are
+   * { id, neuroLexId, members, includes, line }
+   */
+  _readElements(neuroMLStr) {
+    const segments = []
+    const segmentsById = new Map()
+    const groups = []
+    let morphologyCount = 0
+    let inMorphology = false
+    let segment = null
+    let group = null
+    let line = 1
+    let lastIndex = 0
+
+    const regex = new RegExp(XML_REGEX.source, 'g')
+    for (let match = regex.exec(neuroMLStr); match; match = regex.exec(neuroMLStr)) {
+      for (let i = lastIndex; i < match.index; i += 1) {
+        if (neuroMLStr[i] === '\n') line += 1
+      }
+      lastIndex = match.index
+
+      const [, comment, closing, tagName, attributeStr, selfClosing] = match
+      const name = tagName ? tagName.replace(/^.*:/, '') : null
+      const attributes = tagName ? NeuroMLParser._readAttributes(attributeStr) : {}
+
+      if (comment !== undefined) {
+        const texts = comment.split('\n')
+        for (let i = 0; i < texts.length; i += 1) {
+          this._comments.push({ line: line + i, text: texts[i].trim() })
+        }
+      } else if (name === 'morphology' && !closing) {
+        morphologyCount += 1
+        inMorphology = morphologyCount === 1 && !selfClosing
+
+        if (morphologyCount === 2) {
+          this._diagnostics.warning(
+            ISSUE_TYPES.IGNORED_CONTENT,
+            `Line ${line}: the file has more than one morphology, only the first one is read.`,
+            { line },
+          )
+        }
+      } else if (name === 'morphology') {
+        inMorphology = false
+      } else if (inMorphology && !closing) {
+        const element = { name, attributes, line }
+
+        if (name === 'segment') {
+          segment = {
+            id: parseInt(attributes.id, 10),
+            name: attributes.name || null,
+            parentId: null,
+            fractionAlong: 1,
+            proximal: null,
+            distal: null,
+            line,
+          }
+        } else if (name === 'parent' && segment) {
+          segment.parentId = parseInt(attributes.segment, 10)
+          segment.fractionAlong = 'fractionAlong' in attributes ? parseFloat(attributes.fractionAlong) : 1
+
+          if (segment.fractionAlong !== 0 && segment.fractionAlong !== 1) {
+            this._diagnostics.warning(
+              ISSUE_TYPES.IGNORED_CONTENT,
+              `Line ${line}: the segment ${segment.id} is attached at ${attributes.fractionAlong} along its parent, which is not supported, it is attached at the distal end of its parent.`,
+              { line },
+            )
+          }
+        } else if ((name === 'proximal' || name === 'distal') && segment) {
+          segment[name] = this._readPoint(element, segment)
+        } else if (name === 'segmentGroup') {
+          group = {
+            id: attributes.id,
+            neuroLexId: attributes.neuroLexId || null,
+            members: [],
+            includes: [],
+            line,
+          }
+        } else if (name === 'member' && group) {
+          group.members.push(parseInt(attributes.segment, 10))
+        } else if (name === 'include' && group) {
+          group.includes.push(attributes.segmentGroup)
+        } else if ((name === 'path' || name === 'subTree') && group) {
+          this._diagnostics.warning(
+            ISSUE_TYPES.IGNORED_CONTENT,
+            `Line ${line}: the ${name} of the segment group "${group.id}" is not supported, it is ignored.`,
+            { line },
+          )
+        }
+      }
+
+      // the end of a segment or a segment group
+      if (inMorphology && (closing || selfClosing) && name === 'segment' && segment) {
+        this._addSegment(segment, segments, segmentsById)
+        segment = null
+      } else if (inMorphology && (closing || selfClosing) && name === 'segmentGroup' && group) {
+        groups.push(group)
+        group = null
+      }
+    }
+
+    return { segments, groups }
+  }
+
+
+  /**
+   * @private
+   * Add a segment to the list once it is complete
+   * @param {Object} segment - the segment read
+   * @param {Array} segments - the segments read so far
+   * @param {Map} segmentsById - the same segments, by id
+   */
+  _addSegment(segment, segments, segmentsById) {
+    const location = { line: segment.line }
+
+    if (!segment.distal) {
+      SwcParser._reportFix(
+        ISSUE_TYPES.INVALID_ELEMENT,
+        `Line ${segment.line}: the segment ${segment.id} has no distal point.`,
+        'It is ignored.',
+        location,
+        this._options,
+        this._diagnostics,
+      )
+      return
+    }
+
+    const previous = segmentsById.get(segment.id)
+    if (previous) {
+      SwcParser._reportFix(
+        ISSUE_TYPES.DUPLICATE_ID,
+        `Line ${segment.line}: the segment id ${segment.id} is already used line ${previous.line}.`,
+        'The last one replaces the previous one.',
+        Object.assign({ lines: [previous.line, segment.line] }, location),
+        this._options,
+        this._diagnostics,
+      )
+      segments.splice(segments.indexOf(previous), 1)
+    }
+
+    segments.push(segment)
+    segmentsById.set(segment.id, segment)
+  }
+
+
+  /**
+   * @private
+   * Read a proximal or distal point
+   * @param {Object} element - of form { name: String, attributes: Object, line: Number }
+   * @param {Object} segment - the segment it belongs to
+   * @return {Object} of form { position: [x, y, z], radius: Number, line: Number }
+   */
+  _readPoint(element, segment) {
+    const values = ['x', 'y', 'z', 'diameter'].map((attribute) => {
+      const value = Number(element.attributes[attribute])
+
+      if (!Number.isFinite(value)) {
+        SwcParser._reportFix(
+          ISSUE_TYPES.INVALID_NUMBER,
+          `Line ${element.line}: the ${attribute} "${element.attributes[attribute]}" of the ${element.name} point of the segment ${segment.id} is not a valid number.`,
+          'It is read as NaN.',
+          { line: element.line },
+          this._options,
+          this._diagnostics,
+        )
+        return NaN
+      }
+      return value
+    })
+
+    return {
+      position: values.slice(0, 3),
+      radius: values[3] / 2,
+      line: element.line,
+    }
+  }
+
+
+  /**
+   * @private
+   * Find the SWC type of each segment, from its segment groups
+   * @param {Array} segments - all the segments
+   * @param {Array} groups - all the segment groups
+   * @return {Map} the types, with the segments as keys
+   */
+  _findSegmentTypes(segments, groups) {
+    const segmentsById = new Map(segments.map(s => [s.id, s]))
+    const groupsById = new Map(groups.map(g => [g.id, g]))
+    const groupTypes = this._options.groupTypes || {}
+    const types = new Map()
+    const priority = (type) => {
+      const index = TYPE_PRIORITIES.indexOf(type)
+      return index === -1 ? TYPE_PRIORITIES.length : index
+    }
+
+    groups.forEach((group) => {
+      const type = group.id in groupTypes
+        ? groupTypes[group.id]
+        : NeuroMLParser._getGroupType(group)
+
+      if (type === null) {
+        return
+      }
+
+      // all the segments of the group, including the ones of the included groups
+      const visited = new Set([group])
+      const stack = [group]
+      while (stack.length) {
+        const g = stack.pop()
+        g.members.forEach((id) => {
+          const s = segmentsById.get(id)
+          if (s && (!types.has(s) || priority(type) < priority(types.get(s)))) {
+            types.set(s, type)
+          }
+        })
+        g.includes.forEach((id) => {
+          const included = groupsById.get(id)
+          if (included && !visited.has(included)) {
+            visited.add(included)
+            stack.push(included)
+          }
+        })
+      }
+    })
+
+    // the segments in no known group get their type from their name, if possible
+    const untyped = []
+    segments.forEach((s) => {
+      if (!types.has(s)) {
+        const type = NeuroMLParser._getTypeFromName(s.name)
+        types.set(s, type === null ? SWC_TYPES.UNDEFINED : type)
+        if (type === null) {
+          untyped.push(s)
+        }
+      }
+    })
+
+    if (untyped.length) {
+      this._diagnostics.warning(
+        ISSUE_TYPES.UNKNOWN_TREE_TYPE,
+        `${untyped.length} segment(s) are not part of a soma, axon or dendrite segment group. They get the type 0 (undefined).`,
+        { lines: untyped.map(s => s.line) },
+      )
+    }
+
+    return types
+  }
+
+
+  /**
+   * @private
+   * @param {Object} group - a segment group
+   * @return {Number|null} the SWC type of the group, or null if it is not known
+   */
+  static _getGroupType(group) {
+    const known = Object.values(NEUROML_GROUPS)
+      .find(g => g.neuroLexId && g.neuroLexId === group.neuroLexId)
+    return known ? known.type : NeuroMLParser._getTypeFromName(group.id)
+  }
+
+
+  /**
+   * @private
+   * @param {String} name - the id of a group or the name of a segment
+   * @return {Number|null} the SWC type this name suggests, or null
+   */
+  static _getTypeFromName(name) {
+    if (!name) {
+      return null
+    }
+
+    const typeMatch = name.match(/^type_(\d+)/)
+    if (typeMatch) {
+      return parseInt(typeMatch[1], 10)
+    }
+
+    if (/soma/i.test(name)) return SWC_TYPES.SOMA
+    if (/axon/i.test(name)) return SWC_TYPES.AXON
+    if (/apical/i.test(name)) return SWC_TYPES.APICAL_DENDRITE
+    if (/dend/i.test(name)) return SWC_TYPES.BASAL_DENDRITE
+    return null
+  }
+
+
+  /**
+   * @private
+   * Get the position a segment starts from when it has no proximal point: the distal
+   * point of its parent or, if it is attached at the start of its parent (fractionAlong
+   * is 0), the point its parent starts from
+   * @param {Object} segment - a segment with a parent
+   * @param {Map} segmentsById - all the segments, by id
+   * @return {Array} the position [x, y, z]
+   */
+  static _getAttachPosition(segment, segmentsById) {
+    const visited = new Set()
+    let s = segment
+    for (;;) {
+      const parent = segmentsById.get(s.parentId)
+      visited.add(s)
+
+      if (s.fractionAlong !== 0 || visited.has(parent)) {
+        return parent.distal.position
+      }
+
+      if (parent.proximal) {
+        return parent.proximal.position
+      }
+
+      if (!segmentsById.has(parent.parentId)) {
+        return parent.distal.position
+      }
+      s = parent
+    }
+  }
+
+
+  /**
+   * @private
+   * @param {String} attributeStr - the attributes part of a tag
+   * @return {Object} the values of the attributes, by name
+   */
+  static _readAttributes(attributeStr) {
+    const attributes = {}
+    const regex = new RegExp(ATTRIBUTE_REGEX.source, 'g')
+    for (let match = regex.exec(attributeStr); match; match = regex.exec(attributeStr)) {
+      attributes[match[1]] = match[2] !== undefined ? match[2] : match[3]
+    }
+    return attributes
+  }
+
+
+  /**
+   * @private
+   * @param {Array} a - a position [x, y, z]
+   * @param {Array} b - a position [x, y, z]
+   * @return {Boolean} true if both positions are the same
+   */
+  static _samePosition(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2]
+  }
+}
+
+export default NeuroMLParser
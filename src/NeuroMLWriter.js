@@ -0,0 +1,204 @@
+import SwcWriter from './SwcWriter'
+import SwcTypeRegistry from './SwcTypeRegistry'
+import SWC_TYPES from './SWCTypes'
+import NEUROML_GROUPS from './NeuroMLGroups'
+
+const NEUROML_NAMESPACE = 'http://www.neuroml.org/schema/neuroml2'
+const NEUROML_SCHEMA = 'https://raw.github.com/NeuroML/NeuroML2/development/Schemas/NeuroML2/NeuroML_v2.3.xsd'
+
+// the segment group of each SWC type, the other types get a group 'type_N_group'
+const GROUPS_BY_TYPE = {
+  [SWC_TYPES.SOMA]: NEUROML_GROUPS.SOMA,
+  [SWC_TYPES.AXON]: NEUROML_GROUPS.AXON,
+  [SWC_TYPES.BASAL_DENDRITE]: NEUROML_GROUPS.BASAL_DENDRITE,
+  [SWC_TYPES.APICAL_DENDRITE]: NEUROML_GROUPS.APICAL_DENDRITE,
+}
+
+/**
+ * A NeuroMLWriter serializes a morphology to a NeuroML2 `<morphology>`. It accepts the
+ * same sources as SwcWriter: a raw morphology, a morphologycorejs Morphology or a
+ * TreeNodeCollection.
+ *
+ * Every point that has a parent becomes a segment that goes from its parent (proximal)
+ * to itself (distal), both with their diameter. A point without parent becomes a segment
+ * where the proximal and distal points are the same (a sphere, for a soma point), so that
+ * all its children can refer to it as their parent segment.
+ * The segments are grouped by SWC type into 'soma_group', 'axon_group',
+ * 'basal_dendrite_group' and 'apical_dendrite_group' (the last two being included in
+ * 'dendrite_group'), or 'type_N_group' for the other types. These groups only depend on
+ * the type code, not on the SwcTypeRegistry: a type 10 registered as a soma goes to
+ * 'type_10_group', that NeuroMLParser reads back as the type 10.
+ *
+ * ```JavaScript
+ * const writer = new NeuroMLWriter({ cellId: 'pyramidal_cell' })
+ * const neuroMLStr = writer.write(swcParser.getTreeNodeCollection())
+ * ```
+ */
+class NeuroMLWriter {
+  /**
+   * @param {Object} options - the options
+   * @param {Number} options.precision - number of decimals for the coordinates and diameters.
+   * If null, numbers are written with as many decimals as needed (default: null)
+   * @param {String} options.cellId - id of the `<cell>` (default: 'cell')
+   * @param {String} options.morphologyId - id of the `<morphology>` (default: 'morphology')
+   * @param {Boolean} options.standalone - if true, the morphology is written in a complete
+   * NeuroML2 document, inside a `<cell>`, otherwise only the `<morphology>` element is
+   * written (default: true)
+   * @param {SwcTypeRegistry} options.typeRegistry - what the type codes mean, to tell
+   * which sections of a raw morphology or a Morphology are soma sections, see SwcWriter
+   * (default: a registry of the standard types)
+   */
+  constructor({
+    precision = null,
+    cellId = 'cell',
+    morphologyId = 'morphology',
+    standalone = true,
+    typeRegistry = new SwcTypeRegistry(),
+  } = {}) {
+    this._precision = precision
+    this._cellId = cellId
+    this._morphologyId = morphologyId
+    this._standalone = standalone
+    this._typeRegistry = typeRegistry
+  }
+
+
+  /**
+   * Serialize a morphology into a NeuroML2 string
+   * @param {Object|Morphology|TreeNodeCollection} source - the morphology to write
+   * @return {String} the content of the NeuroML2 file
+   */
+  write(source) {
+    const rows = SwcWriter.buildRows(source, this._typeRegistry)
+    const rowsById = new Map(rows.map(r => [r.id, r]))
+    const segmentIds = new Map()
+    const groupMembers = new Map()
+    const lines = []
+    let indent = this._standalone ? '    ' : ''
+
+    lines.push(`${indent}<morphology id="${NeuroMLWriter._escape(this._morphologyId)}">`)
+    indent += '  '
+
+    rows.forEach((r) => {
+      const parent = rowsById.get(r.parentId)
+      const segmentId = segmentIds.size
+      segmentIds.set(r.id, segmentId)
+
+      const group = NeuroMLWriter._getGroup(r.type)
+      if (!groupMembers.has(group.id)) {
+        groupMembers.set(group.id, { group, members: [] })
+      }
+      groupMembers.get(group.id).members.push(segmentId)
+
+      lines.push(`${indent}<segment id="${segmentId}">`)
+      if (parent) {
+        lines.push(`${indent}  <parent segment="${segmentIds.get(parent.id)}"/>`)
+      }
+      lines.push(`${indent}  ${this._writePoint('proximal', parent || r)}`)
+      lines.push(`${indent}  ${this._writePoint('distal', r)}`)
+      lines.push(`${indent}</segment>`)
+    })
+
+    groupMembers.forEach(({ group, members }) => {
+      const children = members.map(m => `<member segment="${m}"/>`)
+      lines.push(...NeuroMLWriter._writeGroup(group, children, indent))
+    })
+
+    // the dendrite group includes the basal and apical ones
+    const dendriteIncludes = [NEUROML_GROUPS.BASAL_DENDRITE, NEUROML_GROUPS.APICAL_DENDRITE]
+      .filter(g => groupMembers.has(g.id))
+      .map(g => `<include segmentGroup="${g.id}"/>`)
+
+    if (dendriteIncludes.length) {
+      lines.push(...NeuroMLWriter._writeGroup(NEUROML_GROUPS.DENDRITE, dendriteIncludes, indent))
+    }
+
+    indent = indent.slice(2)
+    lines.push(`${indent}</morphology>`)
+
+    if (!this._standalone) {
+      return `${lines.join('\n')}\n`
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<neuroml xmlns="${NEUROML_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${NEUROML_NAMESPACE} ${NEUROML_SCHEMA}" id="${NeuroMLWriter._escape(this._cellId)}_doc">`,
+      `  <cell id="${NeuroMLWriter._escape(this._cellId)}">`,
+      ...lines,
+      '  </cell>',
+      '</neuroml>',
+      '',
+    ].join('\n')
+  }
+
+
+  /**
+   * @private
+   * Write a proximal or distal point
+   * @param {String} name - 'proximal' or 'distal'
+   * @param {Object} row - the point, of form { position, radius }
+   * @return {String} the XML element
+   */
+  _writePoint(name, row) {
+    const [x, y, z] = row.position.map(v => this._formatNumber(v))
+    return `<${name} x="${x}" y="${y}" z="${z}" diameter="${this._formatNumber(row.radius * 2)}"/>`
+  }
+
+
+  /**
+   * @private
+   * Write a float with the precision of _this_ writer
+   * @param {Number} value - a coordinate or a diameter
+   * @return {String}
+   */
+  _formatNumber(value) {
+    if (this._precision === null) {
+      return String(value)
+    }
+    return value.toFixed(this._precision)
+  }
+
+
+  /**
+   * @private
+   * @param {Number} type - a SWC type
+   * @return {Object} the segment group for this type, of form { id, neuroLexId }
+   */
+  static _getGroup(type) {
+    return GROUPS_BY_TYPE[type] || { id: `type_${type}_group`, neuroLexId: null }
+  }
+
+
+  /**
+   * @private
+   * Write a segment group
+   * @param {Object} group - of form { id, neuroLexId }
+   * @param {Array} children - the `<member>` and `<include>` elements
+   * @param {String} indent - the indentation of the group
+   * @return {Array} the lines
+   */
+  static _writeGroup(group, children, indent) {
+    const neuroLex = group.neuroLexId ? ` neuroLexId="${group.neuroLexId}"` : ''
+    return [
+      `${indent}<segmentGroup id="${group.id}"${neuroLex}>`,
+      ...children.map(c => `${indent}  ${c}`),
+      `${indent}</segmentGroup>`,
+    ]
+  }
+
+
+  /**
+   * @private
+   * @param {String} text - a text to put in an attribute
+   * @return {String} the text with the XML special characters escaped
+   */
+  static _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+}
+
+export default NeuroMLWriter
@@ -0,0 +1,129 @@
+import SwcTypeRegistry from './SwcTypeRegistry'
+import SomaShape from './SomaShape'
+import Validator from './Validator'
+
+/*
+ * The parsing modes. In strict mode, the first malformed piece of data throws a
+ * SwcParseError. In lenient mode, the parser does its best to read the file and
+ * records every fix it applies in the diagnostics report.
+ */
+const MODES = {
+  STRICT: 'strict',
+  LENIENT: 'lenient',
+}
+
+/**
+ * @private
+ * Get the policy to apply for a given option, or its default value for the given mode
+ * @param {Object} options - the options given by the user
+ * @param {String} name - name of the option
+ * @param {Array} allowed - all the values allowed for this option
+ * @param {String} defaultValue - the value to use if the user did not provide any
+ * @return {String} the policy
+ */
+function pickPolicy(options, name, allowed, defaultValue) {
+  if (options[name] === undefined) {
+    return defaultValue
+  }
+
+  if (!allowed.includes(options[name])) {
+    throw new Error(`The option ${name} must be one of '${allowed.join('\', \'')}'`)
+  }
+
+  return options[name]
+}
+
+/**
+ * @private
+ * Get the type registry to use
+ * @param {SwcTypeRegistry|Object} typeRegistry - the registry given by the user, or its
+ * JSON version, or undefined
+ * @return {SwcTypeRegistry}
+ */
+function buildTypeRegistry(typeRegistry) {
+  if (typeRegistry instanceof SwcTypeRegistry) {
+    return typeRegistry
+  }
+  return typeRegistry ? SwcTypeRegistry.fromJSON(typeRegistry) : new SwcTypeRegistry()
+}
+
+/**
+ * @private
+ * Get the validator to run while parsing
+ * @param {Validator|Boolean} validate - the option given by the user
+ * @return {Validator} null if there is no validation to run
+ */
+function buildValidator(validate) {
+  if (validate instanceof Validator) {
+    return validate
+  }
+  return validate ? new Validator() : null
+}
+
+/**
+ * Build a complete set of parse options from the ones given by the user.
+ * Missing options are filled with their default value, some defaults
+ * depending on the mode.
+ * @param {Object} options - the options given by the user
+ * @param {String} options.mode - 'strict' or 'lenient' (default: 'lenient')
+ * @param {String} options.onMissingParent - what to do with a point whose parent id
+ * does not exist: 'error' to throw a SwcParseError or 'root' to report it and make this
+ * point the root of a new tree (default: 'error' in strict mode, 'root' in lenient mode)
+ * @param {String} options.onCycle - what to do when the parent links form a loop: 'error'
+ * to throw a SwcParseError or 'break' to report it and cut the loop at the link that
+ * makes the longest jump in space (default: 'error' in strict mode, 'break' in lenient mode)
+ * @param {String} options.onDuplicateId - what to do when an id is used by more than one
+ * point: 'error' to throw a SwcParseError, 'keep-first' or 'keep-last' to keep only one of
+ * them, or 'renumber' to give a new id to the last ones. Except with 'error', every
+ * collision is reported (default: 'error' in strict mode, 'keep-last' in lenient mode)
+ * @param {Number} options.floatPrecision - 64 or 32, precision of the coordinates and radii
+ * when stored in a PointTable (default: 64)
+ * @param {Boolean} options.applyScale - multiply the coordinates by the SCALE of the header,
+ * and the radii by the mean of its x and y factors (default: false)
+ * @param {Boolean} options.applyShrinkageCorrection - same with the SHRINKAGE_CORRECTION of
+ * the header (default: false)
+ * @param {Boolean} options.lossless - keep the original SWC id, type and line number of
+ * every point of the raw morphology, so that it can be written back as it was (default: false)
+ * @param {Array} options.extraColumns - the names of the columns that come after the 7 SWC
+ * columns. If not provided, they are taken from the header line that names all the
+ * columns, if any, eg. '##n,type,x,y,z,radius,parent,seg_id,level' in ESWC files, or else
+ * they are named 'column8', 'column9', etc. (default: null)
+ * @param {SwcTypeRegistry|Object} options.typeRegistry - what the type codes mean, as a
+ * SwcTypeRegistry or the output of its `toJSON()` (default: a registry of the standard types)
+ * @param {String} options.somaConvention - how the soma points describe the soma:
+ * 'single-point', 'three-point', 'contour', 'cylinders' (see SomaShape), or 'auto' to
+ * detect it. When the soma points do not fit the chosen convention, it is reported and
+ * detected instead (default: 'auto')
+ * @param {Validator|Boolean} options.validate - a Validator, or true for a Validator with
+ * the default rules, to run over the nodes before the sections are built. Its findings
+ * end up in the diagnostics. In a Web Worker, only true can be used (default: false)
+ * @return {Object} the complete options
+ */
+function buildParseOptions(options = {}) {
+  const mode = options.mode || MODES.LENIENT
+
+  if (mode !== MODES.STRICT && mode !== MODES.LENIENT) {
+    throw new Error(`The parse mode must be one of '${MODES.STRICT}' or '${MODES.LENIENT}'`)
+  }
+
+  const strict = mode === MODES.STRICT
+
+  return Object.assign({}, options, {
+    mode,
+    strict,
+    onMissingParent: pickPolicy(options, 'onMissingParent', ['error', 'root'], strict ? 'error' : 'root'),
+    onCycle: pickPolicy(options, 'onCycle', ['error', 'break'], strict ? 'error' : 'break'),
+    onDuplicateId: pickPolicy(options, 'onDuplicateId', ['error', 'keep-first', 'keep-last', 'renumber'], strict ? 'error' : 'keep-last'),
+    floatPrecision: options.floatPrecision || 64,
+    applyScale: !!options.applyScale,
+    applyShrinkageCorrection: !!options.applyShrinkageCorrection,
+    lossless: !!options.lossless,
+    extraColumns: options.extraColumns || null,
+    typeRegistry: buildTypeRegistry(options.typeRegistry),
+    validate: buildValidator(options.validate),
+    somaConvention: pickPolicy(options, 'somaConvention', ['auto', ...Object.values(SomaShape.getConventions())], 'auto'),
+  })
+}
+
+export { MODES }
+export default buildParseOptions
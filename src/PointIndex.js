@@ -0,0 +1,186 @@
+/**
+ * A PointIndex links the ids of the points, as written in the SWC file, with where
+ * they end up in the sections of the morphology: the id of the section and the index
+ * of the point in this section.
+ * A point where the morphology branches is the last point of a section and also the
+ * first point of each of its child sections (and a soma point can be the first point of
+ * the sections starting from the soma), so the same id can have several locations.
+ * Among them, the main location is the one where the point is not a copy of the last
+ * point of the parent section.
+ *
+ * ```JavaScript
+ * const index = swcParser.getPointIndex()
+ * const { sectionId, pointIndex } = index.getLocation(1234)
+ * const pointId = index.getPointId(sectionId, pointIndex) // 1234
+ * ```
+ */
+class PointIndex {
+  /**
+   * @param {Array} sectionPointIds - for each section, in the order of the section ids,
+   * the Array of the ids of its points
+   * @param {Array} somaPointIds - the ids of the points of the soma (default: [])
+   */
+  constructor(sectionPointIds, somaPointIds = []) {
+    this._sectionPointIds = sectionPointIds
+    this._somaPointIds = somaPointIds
+
+    // built on the first query, so that parsing does not pay for an index never used
+    this._locations = null
+    this._somaIndices = null
+  }
+
+
+  /**
+   * Build a PointIndex from the output of `toJSON()`, for example after it went
+   * through a JSON file or a `postMessage()`
+   * @param {Object} json - of form { sections: Array, soma: Array }
+   * @return {PointIndex}
+   */
+  static fromJSON(json) {
+    return new PointIndex(json.sections, json.soma)
+  }
+
+
+  /**
+   * Get the main location of a point
+   * @param {Number} pointId - id of the point, as written in the SWC file
+   * @return {Object} of form { sectionId: Number, pointIndex: Number }, or null if
+   * no section contains this point
+   */
+  getLocation(pointId) {
+    const locations = this._getLocationMap().get(pointId)
+    if (!locations) {
+      return null
+    }
+
+    // the sections are numbered parents first, so if the point is the first point
+    // of all its sections, the first of them is its own section
+    const main = locations.find(l => l.pointIndex > 0) || locations[0]
+    return { sectionId: main.sectionId, pointIndex: main.pointIndex }
+  }
+
+
+  /**
+   * Get all the locations of a point, including the sections where it is the copy
+   * of the last point of the parent section
+   * @param {Number} pointId - id of the point, as written in the SWC file
+   * @return {Array} of Objects of form { sectionId: Number, pointIndex: Number },
+   * empty if no section contains this point
+   */
+  getLocations(pointId) {
+    const locations = this._getLocationMap().get(pointId) || []
+    return locations.map(l => ({ sectionId: l.sectionId, pointIndex: l.pointIndex }))
+  }
+
+
+  /**
+   * Get the id of a point from its location in the sections
+   * @param {Number} sectionId - id of the section
+   * @param {Number} pointIndex - index of the point in the section
+   * @return {Number} the id of the point, as written in the SWC file, or null if there
+   * is no such point
+   */
+  getPointId(sectionId, pointIndex) {
+    const ids = this._sectionPointIds[sectionId]
+    if (!ids || pointIndex < 0 || pointIndex >= ids.length) {
+      return null
+    }
+    return ids[pointIndex]
+  }
+
+
+  /**
+   * Get the ids of all the points of a section
+   * @param {Number} sectionId - id of the section
+   * @return {Array} the ids, as written in the SWC file, empty if there is no such section
+   */
+  getSectionPointIds(sectionId) {
+    return (this._sectionPointIds[sectionId] || []).slice()
+  }
+
+
+  /**
+   * Get the index of a point in the list of points of the soma
+   * @param {Number} pointId - id of the point, as written in the SWC file
+   * @return {Number} the index, or -1 if this is not a soma point
+   */
+  getSomaPointIndex(pointId) {
+    const somaIndices = this._getSomaIndexMap()
+    return somaIndices.has(pointId) ? somaIndices.get(pointId) : -1
+  }
+
+
+  /**
+   * Get the id of a soma point from its index in the list of points of the soma
+   * @param {Number} pointIndex - index of the point in the soma
+   * @return {Number} the id of the point, as written in the SWC file, or null if there
+   * is no such point
+   */
+  getSomaPointId(pointIndex) {
+    const id = this._somaPointIds[pointIndex]
+    return id === undefined ? null : id
+  }
+
+
+  /**
+   * Tells if a point ends up in the morphology
+   * @param {Number} pointId - id of the point, as written in the SWC file
+   * @return {Boolean} true if the point is in a section or in the soma
+   */
+  has(pointId) {
+    return this._getLocationMap().has(pointId) || this._getSomaIndexMap().has(pointId)
+  }
+
+
+  /**
+   * Get a copy of the index that can be serialized, see `PointIndex.fromJSON()`
+   * @return {Object} of form { sections: Array, soma: Array }
+   */
+  toJSON() {
+    return {
+      sections: this._sectionPointIds.map(ids => ids.slice()),
+      soma: this._somaPointIds.slice(),
+    }
+  }
+
+
+  /**
+   * @private
+   * Get the locations of every point, building them the first time
+   * @return {Map} the Arrays of locations { sectionId, pointIndex }, with the point ids
+   * as keys
+   */
+  _getLocationMap() {
+    if (this._locations) {
+      return this._locations
+    }
+
+    this._locations = new Map()
+    for (let sectionId = 0; sectionId < this._sectionPointIds.length; sectionId += 1) {
+      const ids = this._sectionPointIds[sectionId]
+      for (let pointIndex = 0; pointIndex < ids.length; pointIndex += 1) {
+        const id = ids[pointIndex]
+        if (!this._locations.has(id)) {
+          this._locations.set(id, [])
+        }
+        this._locations.get(id).push({ sectionId, pointIndex })
+      }
+    }
+    return this._locations
+  }
+
+
+  /**
+   * @private
+   * Get the index of every soma point, building them the first time
+   * @return {Map} the indices, with the point ids as keys
+   */
+  _getSomaIndexMap() {
+    if (!this._somaIndices) {
+      this._somaIndices = new Map(this._somaPointIds.map((id, i) => [id, i]))
+    }
+    return this._somaIndices
+  }
+}
+
+export default PointIndex
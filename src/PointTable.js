@@ -0,0 +1,302 @@
+// name of every column, in the order of the SWC columns, plus the line number
+const COLUMNS = ['ids', 'types', 'x', 'y', 'z', 'radii', 'parentIds', 'lines']
+
+// the columns stored as integers, the others are stored as floats
+const INTEGER_COLUMNS = ['ids', 'types', 'parentIds', 'lines']
+
+/**
+ * A PointTable stores the points of a SWC file in a columnar way, with one typed
+ * array per column: Int32Array for the ids, types, parent ids and line numbers, and
+ * Float64Array (or Float32Array) for the coordinates and radii.
+ * This is much lighter than an Array of Arrays and does not need to build any TreeNode,
+ * which makes it convenient for batch analysis. A TreeNodeCollection can be built
+ * from a PointTable.
+ * The columns that come after the 7 standard SWC columns (eg. in ESWC files) are stored
+ * as extra Float64Array columns, whatever the float precision, since they can hold ids
+ * or counts that a Float32Array would round. They are named 'column8', 'column9', etc.
+ * until they are given a name with `setExtraColumnNames()`. The missing values are NaN.
+ * The table grows automatically when points are added.
+ */
+class PointTable {
+  /**
+   * @param {Object} options - the options
+   * @param {Number} options.capacity - number of points the table can contain before
+   * growing (default: 1024)
+   * @param {Number} options.floatPrecision - 64 to store coordinates and radii as
+   * Float64Array, 32 for Float32Array. The extra columns are always Float64Array
+   * (default: 64)
+   */
+  constructor({ capacity = 1024, floatPrecision = 64 } = {}) {
+    if (floatPrecision !== 32 && floatPrecision !== 64) {
+      throw new Error('The float precision must be 32 or 64')
+    }
+
+    this._floatPrecision = floatPrecision
+    this._length = 0
+    this._capacity = 0
+    this._columns = {}
+    this._extraColumnNames = []
+    this._resize(Math.max(1, capacity))
+  }
+
+
+  /**
+   * Build a PointTable from an Array of points, as returned by `SwcParser.extractPoints()`
+   * @param {Array} points - each point is an Array [id, type, x, y, z, radius, parentId]
+   * with an optional line number as 8th element and an optional Array of extra values
+   * as 9th element
+   * @param {Object} options - same options as the constructor
+   * @return {PointTable}
+   */
+  static fromPoints(points, options = {}) {
+    const table = new PointTable(Object.assign({}, options, { capacity: points.length }))
+    for (let i = 0; i < points.length; i += 1) {
+      table.addPoint(points[i])
+    }
+    return table
+  }
+
+
+  /**
+   * Build a PointTable from typed arrays, as returned by `getColumns()`. The arrays
+   * are used as they are, without copy.
+   * @param {Object} columns - the keys are the names of the columns and the values
+   * are typed arrays, all of the same length. The columns that are not standard are the
+   * extra columns.
+   * @return {PointTable}
+   */
+  static fromColumns(columns) {
+    const floatPrecision = columns.x instanceof Float32Array ? 32 : 64
+    const table = new PointTable({ capacity: 1, floatPrecision })
+    Object.keys(columns).forEach((name) => {
+      table._columns[name] = columns[name]
+    })
+    table._extraColumnNames = Object.keys(columns).filter(name => !COLUMNS.includes(name))
+    table._length = columns.ids.length
+    table._capacity = columns.ids.length
+    return table
+  }
+
+
+  /**
+   * Get the name of all the standard columns
+   * @return {Array} of Strings
+   */
+  static getColumnNames() {
+    return COLUMNS.slice()
+  }
+
+
+  /**
+   * Get the name of the extra columns, in the order of the file
+   * @return {Array} of Strings
+   */
+  getExtraColumnNames() {
+    return this._extraColumnNames.slice()
+  }
+
+
+  /**
+   * Rename the extra columns. A name that is already used by another column is not
+   * applied.
+   * @param {Array} names - the new names, in the order of the columns. If there are fewer
+   * names than extra columns, the last columns keep their name.
+   */
+  setExtraColumnNames(names) {
+    this._extraColumnNames = this._extraColumnNames.map((previousName, i) => {
+      const name = names[i]
+      if (name === undefined || name === previousName || name in this._columns) {
+        return previousName
+      }
+
+      this._columns[name] = this._columns[previousName]
+      delete this._columns[previousName]
+      return name
+    })
+  }
+
+
+  /**
+   * Add a point at the end of the table
+   * @param {Array} point - of form [id, type, x, y, z, radius, parentId, lineNumber, extras],
+   * the line number and the Array of extra values being optional
+   */
+  addPoint(point) {
+    // a line number of 0 means it is unknown
+    this.addRow(point, point[7] || 0, point[8] || null)
+  }
+
+
+  /**
+   * Add a point at the end of the table, from its values
+   * @param {Array|Float64Array} values - the 7 SWC columns: id, type, x, y, z, radius
+   * and parent id. Only the first 7 values are read.
+   * @param {Number} line - the line number, 0 if unknown (default: 0)
+   * @param {Array} extras - the values of the extra columns (default: null)
+   */
+  addRow(values, line = 0, extras = null) {
+    if (this._length === this._capacity) {
+      this._resize(this._capacity * 2)
+    }
+
+    const i = this._length
+    // the 7 SWC columns come first, then the line number
+    for (let c = 0; c < 7; c += 1) {
+      this._columns[COLUMNS[c]][i] = values[c]
+    }
+    this._columns.lines[i] = line
+
+    if (!extras && !this._extraColumnNames.length) {
+      this._length += 1
+      return
+    }
+
+    const extraCount = extras ? extras.length : 0
+    while (this._extraColumnNames.length < extraCount) {
+      this._addExtraColumn()
+    }
+    for (let e = 0; e < this._extraColumnNames.length; e += 1) {
+      this._columns[this._extraColumnNames[e]][i] = e < extraCount ? extras[e] : NaN
+    }
+    this._length += 1
+  }
+
+
+  /**
+   * Get the number of points in the table
+   * @return {Number}
+   */
+  getLength() {
+    return this._length
+  }
+
+
+  /**
+   * Get a column of the table. The typed array returned is a view on the table data,
+   * limited to the actual number of points.
+   * @param {String} name - one of 'ids', 'types', 'x', 'y', 'z', 'radii', 'parentIds', 'lines'
+   * or the name of an extra column
+   * @return {Int32Array|Float32Array|Float64Array}
+   */
+  getColumn(name) {
+    if (!(name in this._columns)) {
+      throw new Error(`The column ${name} does not exist`)
+    }
+    return this._columns[name].subarray(0, this._length)
+  }
+
+
+  /**
+   * Get all the columns (see `getColumn()`)
+   * @return {Object} the keys are the names of the columns and the values are typed arrays
+   */
+  getColumns() {
+    const columns = {}
+    COLUMNS.concat(this._extraColumnNames).forEach((name) => {
+      columns[name] = this.getColumn(name)
+    })
+    return columns
+  }
+
+
+  /**
+   * Get a single point
+   * @param {Number} index - the index of the point in the table (not its id)
+   * @return {Array} of form [id, type, x, y, z, radius, parentId, lineNumber], where the
+   * line number is null if unknown, plus the Array of the extra values if the table has
+   * extra columns
+   */
+  getPoint(index) {
+    const point = COLUMNS.map(name => this._columns[name][index])
+    point[7] = point[7] || null
+
+    if (this._extraColumnNames.length) {
+      point.push(this._extraColumnNames.map(name => this._columns[name][index]))
+    }
+    return point
+  }
+
+
+  /**
+   * Get all the points as an Array of Arrays, like `SwcParser.extractPoints()` does
+   * @return {Array}
+   */
+  toPoints() {
+    const points = new Array(this._length)
+    for (let i = 0; i < this._length; i += 1) {
+      points[i] = this.getPoint(i)
+    }
+    return points
+  }
+
+
+  /**
+   * Multiply the coordinates and the radii of all the points
+   * @param {Array} factors - the factors for x, y and z, as [fx, fy, fz]
+   * @param {Number} radiusFactor - the factor for the radii (default: 1)
+   */
+  scale(factors, radiusFactor = 1) {
+    const axes = ['x', 'y', 'z']
+    for (let a = 0; a < 3; a += 1) {
+      const column = this._columns[axes[a]]
+      for (let i = 0; i < this._length; i += 1) {
+        column[i] *= factors[a]
+      }
+    }
+
+    const { radii } = this._columns
+    for (let i = 0; i < this._length; i += 1) {
+      radii[i] *= radiusFactor
+    }
+  }
+
+
+  /**
+   * Reduce the memory used by the table to the actual number of points.
+   * Adding points after that remains possible.
+   */
+  trim() {
+    this._resize(Math.max(1, this._length))
+  }
+
+
+  /**
+   * @private
+   * Change the capacity of the table, keeping the data
+   * @param {Number} capacity - the new capacity
+   */
+  _resize(capacity) {
+    const FloatArray = this._floatPrecision === 32 ? Float32Array : Float64Array
+
+    COLUMNS.concat(this._extraColumnNames).forEach((name) => {
+      let column = new Float64Array(capacity)
+      if (INTEGER_COLUMNS.includes(name)) {
+        column = new Int32Array(capacity)
+      } else if (COLUMNS.includes(name)) {
+        column = new FloatArray(capacity)
+      }
+
+      if (this._columns[name]) {
+        column.set(this._columns[name].subarray(0, this._length))
+      }
+      this._columns[name] = column
+    })
+
+    this._capacity = capacity
+  }
+
+
+  /**
+   * @private
+   * Add an extra column, named after its position in the SWC rows. The points already
+   * in the table get NaN.
+   */
+  _addExtraColumn() {
+    // the 7 SWC columns come first, and the columns are numbered from 1
+    const name = `column${8 + this._extraColumnNames.length}`
+    this._columns[name] = new Float64Array(this._capacity).fill(NaN)
+    this._extraColumnNames.push(name)
+  }
+}
+
+export default PointTable
@@ -0,0 +1,241 @@
+import ISSUE_TYPES from './IssueTypes'
+
+/*
+ * The passes a Repairer runs by default, in this order:
+ *   1. POINT_RETYPED, first, so that a retyped point is compared to its parent with its
+ *      new type by the next passes
+ *   2. DUPLICATE_POINT_MERGED, the points at the position of their parent with the same
+ *      radius and type
+ *   3. ZERO_LENGTH_SEGMENT_REMOVED, the other points at the position of their parent,
+ *      so that a point is either merged or removed, never both
+ *   4. RADIUS_INTERPOLATED, once the overlapping points are gone, so that the radii
+ *      are interpolated from the points that are kept
+ *   5. FRAGMENT_RECONNECTED, last, on the final nodes of each tree
+ * A pass is an Object of form:
+ *   {
+ *     name: String, // the type of the changes it logs (see IssueTypes for these ones)
+ *     description: String, // what the pass fixes
+ *     repair: Function, // (collection: TreeNodeCollection, params: Object, log: Function)
+ *                       // changes the nodes of the collection and calls
+ *                       // log(message: String, pointIds: Array) for every change
+ *   }
+ * The collection given to a pass is a copy that can be changed at will: the nodes can
+ * get a new type or radius, be linked to another parent (see TreeNode) or be removed
+ * (see `TreeNodeCollection._removeNode()`). Its sections are not updated, they are built
+ * once all the passes are done.
+ * The params are the ones of the Repairer: `maxReconnectDistance` for these passes,
+ * plus any param a custom pass needs.
+ */
+
+/**
+ * @private
+ * Tells if a node is still in a collection, since a pass can remove some
+ * @param {TreeNodeCollection} collection - the collection
+ * @param {TreeNode} node - a node
+ * @return {Boolean}
+ */
+function isInCollection(collection, node) {
+  return collection.getNode(node.getId()) === node
+}
+
+/**
+ * @private
+ * Tells if a node is a duplicate of its parent: same position, radius and type
+ * @param {TreeNode} node - a node
+ * @param {TreeNode} parent - its parent
+ * @return {Boolean}
+ */
+function isDuplicate(node, parent) {
+  return node.getDistanceTo(parent) === 0 && node.getRadius() === parent.getRadius()
+    && node.getType() === parent.getType()
+}
+
+/**
+ * @private
+ * Remove the nodes that are at the same position as their parent and pass a test.
+ * The soma nodes are kept.
+ * @param {TreeNodeCollection} collection - the collection to repair
+ * @param {Function} test - (node: TreeNode, parent: TreeNode) => Boolean
+ * @param {Function} describe - (node: TreeNode, parent: TreeNode) => String, the message
+ * @param {Function} log - to log the changes
+ */
+function removeOverlappingNodes(collection, test, describe, log) {
+  collection.getNodes().forEach((n) => {
+    const parent = n.getParent()
+    if (!parent || n.isSoma() || !isInCollection(collection, n)) {
+      return
+    }
+
+    if (n.getDistanceTo(parent) === 0 && test(n, parent)) {
+      log(describe(n, parent), [n.getId(), parent.getId()])
+      collection._removeNode(n)
+    }
+  })
+}
+
+/**
+ * @private
+ * Find the closest node with a valid radius, going up the parents or down a branch
+ * @param {TreeNode} node - the node to start from
+ * @param {Function} next - (node: TreeNode) => TreeNode, the next node to visit or null
+ * @return {Object} of form { radius: Number, distance: Number }, or null if there is none
+ */
+function findValidRadius(node, next) {
+  let distance = 0
+  let current = node
+  let following = next(current)
+
+  while (following) {
+    distance += current.getDistanceTo(following)
+    if (following.getRadius() > 0) {
+      return { radius: following.getRadius(), distance }
+    }
+    current = following
+    following = next(current)
+  }
+
+  return null
+}
+
+export default [
+  {
+    name: ISSUE_TYPES.POINT_RETYPED,
+    description: 'a single point in the middle of a branch whose type differs from the type of its parent and child gets their type',
+    repair: (collection, params, log) => {
+      const mislabelled = collection.getNodes().filter((n) => {
+        const parent = n.getParent()
+        const children = n.getChildren()
+        return parent && children.length === 1 && parent.getChildren().length === 1
+          && parent.getType() === children[0].getType()
+          && parent.getType() !== n.getType()
+      })
+
+      mislabelled.forEach((n) => {
+        const type = n.getParent().getType()
+        log(`The point ${n.getId()} is retyped from ${n.getType()} to ${type}, the type of its parent and child.`, [n.getId()])
+        n.setType(type)
+      })
+    },
+  },
+
+  {
+    name: ISSUE_TYPES.DUPLICATE_POINT_MERGED,
+    description: 'a point with the same position, radius and type as its parent is merged into it',
+    repair: (collection, params, log) => removeOverlappingNodes(
+      collection,
+      isDuplicate,
+      (n, parent) => `The point ${n.getId()} is a duplicate of its parent ${parent.getId()}, it is merged into it.`,
+      log,
+    ),
+  },
+
+  {
+    name: ISSUE_TYPES.ZERO_LENGTH_SEGMENT_REMOVED,
+    description: 'a point at the same position as its parent, that is not a duplicate of it, is removed, its children are linked to the parent',
+    repair: (collection, params, log) => removeOverlappingNodes(
+      collection,
+      (n, parent) => !isDuplicate(n, parent),
+      (n, parent) => `The segment from ${parent.getId()} to ${n.getId()} has a length of 0, the point ${n.getId()} is removed.`,
+      log,
+    ),
+  },
+
+  {
+    name: ISSUE_TYPES.RADIUS_INTERPOLATED,
+    description: 'a radius that is zero, negative or not a number is interpolated from the closest valid radii of the parents and of the branch',
+    repair: (collection, params, log) => {
+      const radii = new Map()
+
+      // all the radii are computed from the original ones before any is changed
+      collection.getNodes().filter(n => !(n.getRadius() > 0)).forEach((n) => {
+        const up = findValidRadius(n, node => node.getParent())
+        const down = findValidRadius(n, (node) => {
+          const children = node.getChildren()
+          return children.length === 1 ? children[0] : null
+        })
+
+        if (up && down) {
+          const total = up.distance + down.distance
+          const ratio = total ? up.distance / total : 0.5
+          radii.set(n, up.radius + (down.radius - up.radius) * ratio)
+        } else if (up || down) {
+          radii.set(n, (up || down).radius)
+        }
+      })
+
+      radii.forEach((radius, n) => {
+        log(`The radius of the point ${n.getId()} (${n.getRadius()}) is interpolated to ${radius}.`, [n.getId()])
+        n.setRadius(radius)
+      })
+    },
+  },
+
+  {
+    name: ISSUE_TYPES.FRAGMENT_RECONNECTED,
+    description: 'a tree without soma is linked to the closest node of another tree that has the type of its root, or is a soma node, if it is closer than `maxReconnectDistance`',
+    repair: (collection, { maxReconnectDistance }, log) => {
+      // every node gets the root of its tree, to tell the trees apart, and every root
+      // the nodes of its tree, in a single walk of each tree
+      const trees = new Map()
+      const treeNodes = new Map()
+      const roots = collection.getRoots()
+      roots.forEach((root) => {
+        const members = []
+        const stack = [root]
+        while (stack.length) {
+          const node = stack.pop()
+          trees.set(node, root)
+          members.push(node)
+          stack.push(...node.getChildren())
+        }
+        treeNodes.set(root, members)
+      })
+
+      const nodes = collection.getNodes()
+
+      // the trees with a soma stay as they are, or the largest one if there is no soma
+      let mainRoots = roots.filter(root => treeNodes.get(root).some(n => n.isSoma()))
+      if (!mainRoots.length && roots.length) {
+        mainRoots = [roots.reduce((largest, root) => (
+          treeNodes.get(root).length > treeNodes.get(largest).length ? root : largest))]
+      }
+
+      roots.filter(root => !mainRoots.includes(root)).forEach((root) => {
+        let closest = null
+        let closestDistance = Infinity
+
+        nodes.forEach((n) => {
+          if (trees.get(n) === trees.get(root)) {
+            return
+          }
+
+          if (n.getType() !== root.getType() && !n.isSoma()) {
+            return
+          }
+
+          const distance = root.getDistanceTo(n)
+          if (distance < closestDistance) {
+            closest = n
+            closestDistance = distance
+          }
+        })
+
+        if (!closest || closestDistance > maxReconnectDistance) {
+          return
+        }
+
+        log(`The tree that starts with the point ${root.getId()} is linked to the point ${closest.getId()}, at a distance of ${closestDistance}.`, [root.getId(), closest.getId()])
+        root.setParentId(closest.getId())
+        root.setParent(closest)
+
+        // the nodes of this tree are now part of the other one
+        const newRoot = trees.get(closest)
+        treeNodes.get(root).forEach((n) => {
+          trees.set(n, newRoot)
+          treeNodes.get(newRoot).push(n)
+        })
+        treeNodes.delete(root)
+      })
+    },
+  },
+]
@@ -0,0 +1,146 @@
+import Diagnostics from './Diagnostics'
+import DEFAULT_PASSES from './RepairPasses'
+
+// the params of the default passes
+const DEFAULT_PARAMS = {
+  maxReconnectDistance: 10,
+}
+
+/**
+ * A Repairer fixes what can be fixed in a TreeNodeCollection by running a list of
+ * passes, one after the other, over a copy of its nodes. The original collection is
+ * not changed: the result is a new collection, with its sections, somas and morphology
+ * built from the repaired nodes, and a log of every change.
+ * It comes with the passes of RepairPasses (re-type single mislabelled points, merge
+ * duplicate points, remove zero-length segments, interpolate invalid radii, reconnect
+ * the fragments) and more can be registered, or the default ones removed.
+ * The repair is never done while parsing, it has to be asked for.
+ *
+ * ```JavaScript
+ * const repairer = new Repairer({ maxReconnectDistance: 5 })
+ * const { collection, log } = swcParser.repair(repairer)
+ * const morphology = collection.getMorphology()
+ * ```
+ */
+class Repairer {
+  /**
+   * @param {Object} params - the params given to the passes (default:
+   * { maxReconnectDistance: 10 })
+   */
+  constructor(params = {}) {
+    this._passes = new Map()
+    this._params = Object.assign({}, DEFAULT_PARAMS, params)
+    DEFAULT_PASSES.forEach(pass => this.register(pass))
+  }
+
+
+  /**
+   * Add a pass at the end, or replace the pass with the same name where it is
+   * @param {Object} pass - the pass
+   * @param {String} pass.name - the name of the pass, used as the type of the changes
+   * in the log
+   * @param {Function} pass.repair - (collection: TreeNodeCollection, params: Object,
+   * log: Function) => undefined, see RepairPasses
+   * @param {String} pass.description - what the pass fixes (default: '')
+   * @return {Repairer} _this_ repairer, to chain the calls
+   */
+  register({ name, repair, description = '' }) {
+    if (!name) {
+      throw new Error('A repair pass must have a name')
+    }
+
+    if (typeof repair !== 'function') {
+      throw new Error(`The repair pass ${name} must have a repair function`)
+    }
+
+    this._passes.set(name, { name, repair, description })
+    return this
+  }
+
+
+  /**
+   * Remove a pass
+   * @param {String} name - the name of the pass
+   * @return {Repairer} _this_ repairer, to chain the calls
+   */
+  remove(name) {
+    this._passes.delete(name)
+    return this
+  }
+
+
+  /**
+   * Tells if a pass is registered
+   * @param {String} name - the name of the pass
+   * @return {Boolean}
+   */
+  has(name) {
+    return this._passes.has(name)
+  }
+
+
+  /**
+   * Get all the passes, in the order they are run
+   * @return {Array} of Objects of form { name, repair, description }
+   */
+  getPasses() {
+    return Array.from(this._passes.values()).map(p => Object.assign({}, p))
+  }
+
+
+  /**
+   * Change some of the params given to the passes
+   * @param {Object} params - the params to change
+   * @return {Repairer} _this_ repairer, to chain the calls
+   */
+  setParams(params) {
+    Object.assign(this._params, params)
+    return this
+  }
+
+
+  /**
+   * @return {Object} the params given to the passes
+   */
+  getParams() {
+    return Object.assign({}, this._params)
+  }
+
+
+  /**
+   * Run all the passes over a copy of the nodes of a collection
+   * @param {TreeNodeCollection} collection - the collection to repair, that is not changed
+   * @return {Object} of form { collection: TreeNodeCollection, log: Diagnostics }, where
+   * `collection` is built from the repaired nodes, with the options of the original one,
+   * and `log` has one issue of severity 'info' per change, whose type is the name of
+   * the pass that made it
+   */
+  repair(collection) {
+    const log = new Diagnostics()
+    const copy = collection._buildCollectionFrom(collection.getNodes(), { validate: false })
+
+    this._passes.forEach((pass) => {
+      pass.repair(copy, this.getParams(), (message, pointIds = []) => {
+        // the removed nodes are still in the original collection
+        const lines = pointIds
+          .map(id => collection.getNode(id))
+          .filter(n => n && n.getLineNumber() !== null)
+          .map(n => n.getLineNumber())
+
+        log.info(pass.name, message, {
+          line: lines.length ? lines[0] : null,
+          lines,
+          pointId: pointIds.length ? pointIds[0] : null,
+          pointIds,
+        })
+      })
+    })
+
+    return {
+      collection: collection._buildCollectionFrom(copy.getNodes()),
+      log,
+    }
+  }
+}
+
+export default Repairer
@@ -0,0 +1,379 @@
+/*
+ * The ways a soma can be described with SWC points:
+ * - single-point: one point, the soma is a sphere of the radius of this point
+ * - three-point: the NeuroMorpho.Org convention, a point at the center and two children
+ *   on each side of it, at a distance of the radius, all with the same radius
+ * - contour: the points outline the cell body (eg. a Neurolucida contour), the soma is the
+ *   sphere whose radius is the mean distance of the points to their center
+ * - cylinders: a stack of cylinders (truncated cones) going from each soma point to its
+ *   soma parent, with the radii of both points
+ */
+const CONVENTIONS = {
+  SINGLE_POINT: 'single-point',
+  THREE_POINT: 'three-point',
+  CONTOUR: 'contour',
+  CYLINDERS: 'cylinders',
+}
+
+// relative tolerance used to recognize a three-point soma
+const THREE_POINT_TOLERANCE = 0.05
+
+// relative tolerance used to recognize a contour whose points have the radius of the soma
+const CONTOUR_RADIUS_TOLERANCE = 0.05
+
+/**
+ * A SomaShape computes the geometry of the soma from its points, following one of
+ * the conventions used to describe a soma in SWC files: its center, its effective
+ * radius (the radius of the sphere with the same surface area), its surface area
+ * and its volume.
+ *
+ * ```JavaScript
+ * const soma = swcParser.getSoma()
+ * soma.getConvention() // eg. 'three-point'
+ * soma.getSurfaceArea()
+ * ```
+ */
+class SomaShape {
+  /**
+   * @param {Array} nodes - the soma nodes, as TreeNode instances
+   * @param {String} convention - one of the values of `SomaShape.getConventions()`. If not
+   * provided, it is detected with `SomaShape.detectConvention()` (default: null)
+   */
+  constructor(nodes, convention = null) {
+    this._nodes = nodes
+    this._convention = convention || SomaShape.detectConvention(nodes)
+    this._center = null
+    this._radius = 0
+    this._surfaceArea = 0
+    this._volume = 0
+
+    switch (this._convention) {
+      case CONVENTIONS.SINGLE_POINT:
+      case CONVENTIONS.THREE_POINT:
+        this._center = nodes[0].getPosition()
+        this._radius = nodes[0].getRadius()
+        this._setSphere()
+        break
+
+      case CONVENTIONS.CONTOUR:
+        this._center = SomaShape._getCentroid(nodes)
+        this._radius = nodes.reduce((sum, n) => sum
+          + SomaShape._distance(n.getPosition(), this._center), 0) / nodes.length
+        this._setSphere()
+        break
+
+      default:
+        this._center = SomaShape._getCentroid(nodes)
+        this._setCylinders()
+    }
+  }
+
+
+  /**
+   * Get the conventions a soma can be described with
+   * @return {Object} of form { SINGLE_POINT: 'single-point', THREE_POINT: 'three-point',
+   * CONTOUR: 'contour', CYLINDERS: 'cylinders' }
+   */
+  static getConventions() {
+    return Object.assign({}, CONVENTIONS)
+  }
+
+
+  /**
+   * Find the convention the soma points follow:
+   * - a single point is a single-point soma
+   * - three points where the second and third are children of the first, at a distance
+   *   of the radius on each side of it and with the same radius, are a three-point soma
+   * - three points or more whose center is outside of all their spheres and of all the
+   *   cylinders between them are a contour, as well as three points or more that all have
+   *   the radius of the soma, that is the mean distance of the points to their center
+   *   (as written by AscParser and some converters), and are all away from this center
+   * - everything else is a stack of cylinders
+   * @param {Array} nodes - the soma nodes, as TreeNode instances
+   * @return {String} the convention
+   */
+  static detectConvention(nodes) {
+    if (nodes.length === 1) {
+      return CONVENTIONS.SINGLE_POINT
+    }
+
+    if (SomaShape._isThreePoint(nodes)) {
+      return CONVENTIONS.THREE_POINT
+    }
+
+    if (SomaShape._isContour(nodes)) {
+      return CONVENTIONS.CONTOUR
+    }
+
+    return CONVENTIONS.CYLINDERS
+  }
+
+
+  /**
+   * Tells if the soma points can be described with a given convention, that is if there
+   * are enough of them: one for a single-point soma, three for a three-point soma, at
+   * least three for a contour and at least one for a stack of cylinders. This is less
+   * strict than `SomaShape.detectConvention()`, so that a convention can be forced,
+   * eg. for a contour whose points have the radius of the whole soma.
+   * @param {Array} nodes - the soma nodes, as TreeNode instances
+   * @param {String} convention - the convention
+   * @return {Boolean}
+   */
+  static fits(nodes, convention) {
+    switch (convention) {
+      case CONVENTIONS.SINGLE_POINT:
+        return nodes.length === 1
+
+      case CONVENTIONS.THREE_POINT:
+        return nodes.length === 3
+
+      case CONVENTIONS.CONTOUR:
+        return nodes.length >= 3
+
+      case CONVENTIONS.CYLINDERS:
+        return nodes.length > 0
+
+      default:
+        return false
+    }
+  }
+
+
+  /**
+   * Get the convention used to compute the geometry of _this_ soma
+   * @return {String}
+   */
+  getConvention() {
+    return this._convention
+  }
+
+
+  /**
+   * Get the center of the soma: the first point for the single-point and three-point
+   * conventions, the mean position of the points otherwise
+   * @return {Array} [x, y, z]
+   */
+  getCenter() {
+    return this._center.slice()
+  }
+
+
+  /**
+   * Get the effective radius of the soma, that is the radius of the sphere that has the
+   * same surface area
+   * @return {Number}
+   */
+  getRadius() {
+    return this._radius
+  }
+
+
+  /**
+   * @return {Number} the surface area of the soma
+   */
+  getSurfaceArea() {
+    return this._surfaceArea
+  }
+
+
+  /**
+   * @return {Number} the volume of the soma
+   */
+  getVolume() {
+    return this._volume
+  }
+
+
+  /**
+   * Get the ids of the soma points
+   * @return {Array}
+   */
+  getPointIds() {
+    return this._nodes.map(n => n.getId())
+  }
+
+
+  /**
+   * Get a description of _this_ soma that can be serialized
+   * @return {Object} of form { convention, center, radius, surfaceArea, volume }
+   */
+  toJSON() {
+    return {
+      convention: this._convention,
+      center: this.getCenter(),
+      radius: this._radius,
+      surfaceArea: this._surfaceArea,
+      volume: this._volume,
+    }
+  }
+
+
+  /**
+   * @private
+   * Compute the surface area and volume of the sphere of center and radius of _this_ soma
+   */
+  _setSphere() {
+    const r = this._radius
+    this._surfaceArea = 4 * Math.PI * r * r
+    this._volume = (4 / 3) * Math.PI * r * r * r
+  }
+
+
+  /**
+   * @private
+   * Compute the surface area and volume of a stack of cylinders. Every soma point that
+   * has a soma parent makes a truncated cone with it (only its lateral surface counts).
+   * A soma point linked to no other soma point makes a sphere.
+   */
+  _setCylinders() {
+    let area = 0
+    let volume = 0
+
+    this._nodes.forEach((n) => {
+      const parent = n.getParent()
+      const r1 = n.getRadius()
+
+      if (parent && parent.isSoma()) {
+        const r2 = parent.getRadius()
+        const h = n.getDistanceTo(parent)
+        area += Math.PI * (r1 + r2) * Math.hypot(r1 - r2, h)
+        volume += (Math.PI * h * ((r1 * r1) + (r1 * r2) + (r2 * r2))) / 3
+      } else if (!n.getChildren().some(c => c.isSoma())) {
+        area += 4 * Math.PI * r1 * r1
+        volume += (4 / 3) * Math.PI * r1 * r1 * r1
+      }
+    })
+
+    this._surfaceArea = area
+    this._volume = volume
+    this._radius = Math.sqrt(area / (4 * Math.PI))
+  }
+
+
+  /**
+   * @private
+   * @param {Array} nodes - the soma nodes
+   * @return {Boolean} true if the nodes follow the NeuroMorpho.Org three-point convention
+   */
+  static _isThreePoint(nodes) {
+    if (nodes.length !== 3) {
+      return false
+    }
+
+    const [center, ...sides] = nodes
+    const radius = center.getRadius()
+    const tolerance = radius * THREE_POINT_TOLERANCE
+
+    if (!(radius > 0) || sides.some(n => n.getParent() !== center)) {
+      return false
+    }
+
+    // both sides are at a distance of the radius, with the same radius
+    if (sides.some(n => Math.abs(n.getDistanceTo(center) - radius) > tolerance
+      || Math.abs(n.getRadius() - radius) > tolerance)) {
+      return false
+    }
+
+    // and opposite to each other
+    const middle = [0, 1, 2].map(axis => (sides[0].getPosition()[axis]
+      + sides[1].getPosition()[axis]) / 2)
+    return SomaShape._distance(middle, center.getPosition()) <= tolerance
+  }
+
+
+  /**
+   * @private
+   * @param {Array} nodes - the soma nodes
+   * @return {Boolean} true if the nodes surround their center: the center is neither
+   * inside the sphere of a point, nor inside the cylinder between two linked points,
+   * or the points have the radius of the soma they outline
+   */
+  static _isContour(nodes) {
+    if (nodes.length < 3) {
+      return false
+    }
+
+    const center = SomaShape._getCentroid(nodes)
+
+    if (SomaShape._hasContourRadius(nodes, center)) {
+      return true
+    }
+
+    return nodes.every((n) => {
+      const parent = n.getParent()
+      if (SomaShape._distance(n.getPosition(), center) <= n.getRadius()) {
+        return false
+      }
+
+      return !parent || !parent.isSoma() || SomaShape._distanceToSegment(
+        center,
+        n.getPosition(),
+        parent.getPosition(),
+      ) > Math.max(n.getRadius(), parent.getRadius())
+    })
+  }
+
+
+  /**
+   * @private
+   * @param {Array} nodes - the soma nodes
+   * @param {Array} center - their mean position
+   * @return {Boolean} true if all the nodes have the mean distance of the nodes to their
+   * center as radius, and none of them is closer to the center than half of it (which
+   * tells a contour from a stack of cylinders that would have the same radius)
+   */
+  static _hasContourRadius(nodes, center) {
+    const distances = nodes.map(n => SomaShape._distance(n.getPosition(), center))
+    const radius = distances.reduce((sum, d) => sum + d, 0) / nodes.length
+    const tolerance = radius * CONTOUR_RADIUS_TOLERANCE
+
+    return radius > 0
+      && nodes.every(n => Math.abs(n.getRadius() - radius) <= tolerance)
+      && distances.every(d => d >= radius / 2)
+  }
+
+
+  /**
+   * @private
+   * @param {Array} nodes - some nodes
+   * @return {Array} the mean position of the nodes, [x, y, z]
+   */
+  static _getCentroid(nodes) {
+    return [0, 1, 2].map(axis => nodes
+      .reduce((sum, n) => sum + n.getPosition()[axis], 0) / nodes.length)
+  }
+
+
+  /**
+   * @private
+   * @param {Array} a - a position [x, y, z]
+   * @param {Array} b - another position [x, y, z]
+   * @return {Number} the distance between a and b
+   */
+  static _distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2])
+  }
+
+
+  /**
+   * @private
+   * @param {Array} p - a position [x, y, z]
+   * @param {Array} a - first end of the segment
+   * @param {Array} b - second end of the segment
+   * @return {Number} the distance between p and the closest point of the segment [a, b]
+   */
+  static _distanceToSegment(p, a, b) {
+    const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]]
+    const lengthSq = (ab[0] * ab[0]) + (ab[1] * ab[1]) + (ab[2] * ab[2])
+
+    if (lengthSq === 0) {
+      return SomaShape._distance(p, a)
+    }
+
+    const t = Math.min(1, Math.max(0, ((p[0] - a[0]) * ab[0]
+      + (p[1] - a[1]) * ab[1] + (p[2] - a[2]) * ab[2]) / lengthSq))
+    return SomaShape._distance(p, [a[0] + t * ab[0], a[1] + t * ab[1], a[2] + t * ab[2]])
+  }
+}
+
+export default SomaShape
@@ -0,0 +1,36 @@
+/**
+ * A SwcParseError is thrown when parsing in strict mode and the SWC data contains
+ * something that cannot be accepted as is. On top of the regular message, it tells
+ * where the problem is.
+ */
+class SwcParseError extends Error {
+  /**
+   * @param {String} message - human readable description of the problem
+   * @param {Object} details - where the problem comes from
+   * @param {String} details.type - type of issue, one of the values from IssueTypes
+   * @param {Number} details.line - line number in the source file, starting at 1 (default: null)
+   * @param {Number} details.column - the SWC column involved, starting at 1 (default: null)
+   * @param {String} details.rawText - the original text of the line (default: null)
+   * @param {Number} details.pointId - id of the point involved (default: null)
+   * @param {Array} details.pointIds - ids of all the points involved (default: [pointId] or [])
+   */
+  constructor(message, {
+    type = null,
+    line = null,
+    column = null,
+    rawText = null,
+    pointId = null,
+    pointIds = null,
+  } = {}) {
+    super(message)
+    this.name = 'SwcParseError'
+    this.type = type
+    this.line = line
+    this.column = column
+    this.rawText = rawText
+    this.pointId = pointId
+    this.pointIds = pointIds || (pointId === null ? [] : [pointId])
+  }
+}
+
+export default SwcParseError
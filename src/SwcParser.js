@@ -1,4 +1,32 @@
 import TreeNodeCollection from './TreeNodeCollection'
+import Diagnostics from './Diagnostics'
+import Validator from './Validator'
+import Repairer from './Repairer'
+import SwcParseError from './SwcParseError'
+import ISSUE_TYPES from './IssueTypes'
+import buildParseOptions from './ParseOptions'
+import PointTable from './PointTable'
+import parseSwcHeader from './parseSwcHeader'
+
+// names of the 7 SWC columns, in order, as used in the messages
+const COLUMN_NAMES = ['id', 'type', 'x', 'y', 'z', 'radius', 'parent id']
+
+// for each of the 7 SWC columns, true if it must contain an integer
+const INTEGER_COLUMNS = [true, true, false, false, false, false, true]
+
+// the integer columns are stored in Int32Array
+const MAX_INTEGER = 2147483647
+const MIN_INTEGER = -2147483648
+
+// the values of the row being read, reused from one row to the next
+const ROW_VALUES = new Float64Array(7)
+
+// share of the total work of each stage of parseAsync, in percent
+const STAGE_WEIGHTS = {
+  tokenizing: 60,
+  linking: 25,
+  building: 15,
+}
 
 
 /**
@@ -11,29 +39,357 @@ import TreeNodeCollection from './TreeNodeCollection'
  * level within the JS object and every section is identified by an arbitrary ID.
  */
 class SwcParser {
-  constructor() {
+  /**
+   * @param {Object} options - the parse options
+   * @param {String} options.mode - 'strict' to throw a SwcParseError on the first malformed
+   * row, or 'lenient' to keep reading and record every fix applied in the diagnostics
+   * (default: 'lenient')
+   * @param {String} options.onMissingParent - 'error' or 'root', what to do with a point whose
+   * parent does not exist (default: 'error' in strict mode, 'root' in lenient mode)
+   * @param {Number} options.floatPrecision - 64 or 32, precision of the coordinates and
+   * radii in the PointTable (default: 64)
+   * @param {Boolean} options.applyScale - apply the SCALE of the header to the coordinates
+   * and radii (default: false)
+   * @param {Boolean} options.applyShrinkageCorrection - apply the SHRINKAGE_CORRECTION of the
+   * header to the coordinates and radii (default: false)
+   * @param {Boolean} options.lossless - keep the original SWC id, type and line number of every
+   * point of the raw morphology, as `id`, `type` and `line` (default: false)
+   * @param {Array} options.extraColumns - the names of the columns after the 7 SWC columns,
+   * if not given by a header line (default: null)
+   * @param {SwcTypeRegistry} options.typeRegistry - what the type codes mean (default: a
+   * registry of the standard types 0 to 5)
+   * See `buildParseOptions` for all the options.
+   */
+  constructor(options = {}) {
+    this._options = buildParseOptions(options)
     this._morphology = null
     this._rawMorphology = null
+    this._treeNodeCollection = null
+    this._pointTable = null
+    this._comments = []
+    this._metadata = null
+    this._diagnostics = null
   }
 
 
   /**
    * Parses a SWC string. This SWC string is simply the text content of an SWC file.
-   * This method does not return any reult (use one of the getters for that)
+   * The parsed data are accessible with the getters, while the returned value is
+   * the report of all the issues found along the way.
+   * In strict mode, a SwcParseError is thrown on the first malformed row.
    * @param {String} swcStr - the string that comes from the SWC file
+   * @return {Diagnostics} the issues found while parsing
    */
   parse(swcStr) {
-    this._morphology = null
-    this._rawMorphology = null
-    const rawPoints = SwcParser.extractPoints(swcStr)
-    const treeNodeCollection = new TreeNodeCollection(rawPoints)
+    this.parsePointTable(swcStr)
+    return this._buildFromPointTable()
+  }
+
+
+  /**
+   * Parses a SWC string like `parse()` does and splits it into its connected
+   * components (trees), eg. the fragments of an automatic tracing. The whole file is
+   * still available with the getters, and its issues with `getDiagnostics()`.
+   * @param {String} swcStr - the string that comes from the SWC file
+   * @return {Array} one Object per tree, in the order of their root, of form
+   * { rootId: Number, boundingBox: { min: Array, max: Array }, rawMorphology: Object,
+   * morphology: morphologycorejs.Morphology, treeNodeCollection: TreeNodeCollection }
+   */
+  parseForest(swcStr) {
+    this.parse(swcStr)
+
+    return this._treeNodeCollection.splitTrees().map(tree => ({
+      rootId: tree.getRoots()[0].getId(),
+      boundingBox: tree.getBoundingBox(),
+      rawMorphology: tree.getRawMorphology(),
+      morphology: tree.getMorphology(),
+      treeNodeCollection: tree,
+    }))
+  }
+
+
+  /**
+   * Parses a SWC string like `parse()` does, but without blocking the thread for too long.
+   * The work is split into stages ('tokenizing', 'linking' and 'building' the sections),
+   * each one done by batches of rows or points (see `TreeNodeCollection.buildAsync()`).
+   * Between two batches, the control is given back to the event loop, the progress is
+   * reported and the abort signal is checked.
+   * @param {String} swcStr - the string that comes from the SWC file
+   * @param {Object} options - the options
+   * @param {Function} options.onProgress - called after each step with an Object of form
+   * { stage: String, percent: Number } (default: null)
+   * @param {AbortSignal} options.signal - signal from an AbortController, to cancel the
+   * parsing (default: null)
+   * @param {Number} options.batchSize - number of rows or points in a batch (default: 20000)
+   * @return {Promise} resolves with the Diagnostics, or rejects with an error named
+   * 'AbortError' if cancelled (or with a SwcParseError in strict mode)
+   */
+  async parseAsync(swcStr, { onProgress = null, signal = null, batchSize = 20000 } = {}) {
+    const step = async (stage, percent) => {
+      if (onProgress) {
+        onProgress({ stage, percent })
+      }
+      await new Promise(resolve => setTimeout(resolve, 0))
+      SwcParser._throwIfAborted(signal)
+    }
+
+    SwcParser._throwIfAborted(signal)
+    this._reset()
+    const diagnostics = this._diagnostics
+    await this._tokenizeAsync(
+      swcStr,
+      fraction => step('tokenizing', STAGE_WEIGHTS.tokenizing * fraction),
+      batchSize,
+    )
+    const table = this._pointTable
+
+    const treeNodeCollection = await TreeNodeCollection.buildAsync(
+      table,
+      Object.assign({}, this._options, { diagnostics }),
+      {
+        batchSize,
+        progress: (stage, fraction) => step(stage, stage === 'linking'
+          ? STAGE_WEIGHTS.tokenizing + STAGE_WEIGHTS.linking * fraction
+          : STAGE_WEIGHTS.tokenizing + STAGE_WEIGHTS.linking + STAGE_WEIGHTS.building * fraction),
+      },
+    )
+    this._setTreeNodeCollection(treeNodeCollection)
+    return diagnostics
+  }
+
+
+  /**
+   * @private
+   * The tokenizing stage of `parseAsync()`: read the rows into the PointTable of _this_
+   * parser by batches, then build the metadata
+   * @param {String} swcStr - the string that comes from the SWC file
+   * @param {Function} progress - to call after each batch with the fraction done,
+   * between 0 and 1. Returns a Promise to wait for.
+   * @param {Number} batchSize - number of rows tokenized in a row
+   * @return {Promise}
+   */
+  async _tokenizeAsync(swcStr, progress, batchSize) {
+    const lines = swcStr.split('\n')
+    const table = new PointTable({ floatPrecision: this._options.floatPrecision })
+    const addPoint = (values, line, extras) => table.addRow(values, line, extras)
+    const addComment = c => this._comments.push(c)
+
+    for (let start = 0; start < lines.length; start += batchSize) {
+      const end = Math.min(lines.length, start + batchSize)
+      for (let i = start; i < end; i += 1) {
+        SwcParser._readLine(lines[i], i + 1, this._options, this._diagnostics, addPoint, addComment)
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await progress(end / lines.length)
+    }
+    table.trim()
+    this._pointTable = table
+    this._endTokenizing()
+  }
+
+
+  /**
+   * @private
+   * Throw an error named 'AbortError' if the signal tells to abort
+   * @param {AbortSignal} signal - signal from an AbortController, can be null
+   */
+  static _throwIfAborted(signal) {
+    if (!signal || !signal.aborted) {
+      return
+    }
+
+    const message = 'The parsing was aborted'
+    // eslint-disable-next-line no-undef
+    if (typeof DOMException === 'function') throw new DOMException(message, 'AbortError')
+
+    const error = new Error(message)
+    error.name = 'AbortError'
+    throw error
+  }
+
+
+  /**
+   * @private
+   * Build the TreeNodeCollection, the raw morphology and the morphology from
+   * the PointTable of _this_ parser
+   * @return {Diagnostics} the issues found while parsing
+   */
+  _buildFromPointTable() {
+    const treeNodeCollection = new TreeNodeCollection(
+      this._pointTable,
+      Object.assign({}, this._options, { diagnostics: this._diagnostics }),
+    )
+    this._setTreeNodeCollection(treeNodeCollection)
+    return this._diagnostics
+  }
+
+
+  /**
+   * @private
+   * Keep the result of a TreeNodeCollection and add the metadata to the raw morphology
+   * @param {TreeNodeCollection} treeNodeCollection - a collection, fully built
+   */
+  _setTreeNodeCollection(treeNodeCollection) {
+    this._treeNodeCollection = treeNodeCollection
     this._morphology = treeNodeCollection.getMorphology()
     this._rawMorphology = treeNodeCollection.getRawMorphology()
-    const type2Nodes = Object.values(treeNodeCollection._nodes).filter(n => n._type === 2)
-    let aType2Node = type2Nodes[0]
-    while (aType2Node._parent) {
-      aType2Node = aType2Node._parent
+
+    if (this._rawMorphology) {
+      this._rawMorphology.metadata = this._metadata
+    }
+  }
+
+
+  /**
+   * Parses a SWC string into a PointTable only, without building any TreeNode, section
+   * or morphology. This is much faster and lighter than `parse()` when only the points
+   * are needed. The issues found are in the returned diagnostics, like with `parse()`.
+   * @param {String} swcStr - the string that comes from the SWC file
+   * @return {PointTable} the points
+   */
+  parsePointTable(swcStr) {
+    this._reset()
+    this._pointTable = SwcParser.extractPointTable(
+      swcStr,
+      this._options,
+      this._diagnostics,
+      c => this._comments.push(c),
+    )
+    this._endTokenizing()
+    return this._pointTable
+  }
+
+
+  /**
+   * @private
+   * Once all the rows are read into the PointTable: build the metadata from the comments
+   * and, if the options say so, apply the SCALE and SHRINKAGE_CORRECTION of the header
+   */
+  _endTokenizing() {
+    this._metadata = parseSwcHeader(this._comments)
+    this._metadata.appliedCorrections = {
+      scale: null,
+      shrinkageCorrection: null,
+    }
+
+    if (this._options.applyScale) {
+      this._applyCorrection('scale', 'SCALE')
+    }
+
+    if (this._options.applyShrinkageCorrection) {
+      this._applyCorrection('shrinkageCorrection', 'SHRINKAGE_CORRECTION')
+    }
+
+    const extraCount = this._pointTable.getExtraColumnNames().length
+    if (extraCount) {
+      const names = this._options.extraColumns
+        || SwcParser._findExtraColumnNames(this._comments, extraCount)
+      if (names) {
+        this._pointTable.setExtraColumnNames(names)
+      }
+    }
+    this._metadata.extraColumns = this._pointTable.getExtraColumnNames()
+  }
+
+
+  /**
+   * @private
+   * Find the names of the extra columns in the header line that names all the columns,
+   * eg. '##n,type,x,y,z,radius,parent,seg_id,level,mode,timestamp' in ESWC files
+   * @param {Array} comments - the comment lines, of form { line: Number, text: String }
+   * @param {Number} extraCount - number of extra columns
+   * @return {Array|null} the names of the extra columns, or null if there is no such line
+   */
+  static _findExtraColumnNames(comments, extraCount) {
+    for (let i = comments.length - 1; i >= 0; i -= 1) {
+      const names = comments[i].text.replace(/^#+/, '').split(/[\s,]+/).filter(n => n.length)
+      if (names.length === 7 + extraCount && names.every(n => Number.isNaN(Number(n)))) {
+        return names.slice(7)
+      }
     }
+    return null
+  }
+
+
+  /**
+   * @private
+   * Multiply the coordinates of the points by the factors of a header field.
+   * The radii are multiplied by the mean of the x and y factors, since radii are
+   * usually measured in the xy plane. What is applied is recorded in the
+   * `appliedCorrections` of the metadata and in the diagnostics.
+   * @param {String} property - name of the property in the metadata
+   * @param {String} fieldName - name of the field in the SWC header
+   */
+  _applyCorrection(property, fieldName) {
+    let factors = this._metadata[property]
+
+    if (!factors) {
+      return
+    }
+
+    // a single value applies to all the axes
+    if (factors.length === 1) {
+      factors = [factors[0], factors[0], factors[0]]
+    }
+
+    if (factors.length !== 3 || factors.some(f => !Number.isFinite(f))) {
+      this._diagnostics.warning(
+        ISSUE_TYPES.INVALID_HEADER_VALUE,
+        `The header field ${fieldName} "${this._metadata.fields[fieldName]}" is not valid, it is not applied.`,
+      )
+      return
+    }
+
+    const radiusFactor = (factors[0] + factors[1]) / 2
+    this._pointTable.scale(factors, radiusFactor)
+    this._metadata.appliedCorrections[property] = {
+      factors,
+      radiusFactor,
+    }
+    this._diagnostics.info(
+      ISSUE_TYPES.CORRECTION_APPLIED,
+      `The header field ${fieldName} ${factors.join(' ')} is applied to the coordinates (and ${radiusFactor} to the radii).`,
+    )
+  }
+
+
+  /**
+   * @private
+   * Forget about the result of the previous parsing and start a new diagnostics report
+   */
+  _reset() {
+    this._morphology = null
+    this._rawMorphology = null
+    this._treeNodeCollection = null
+    this._pointTable = null
+    this._comments = []
+    this._metadata = null
+    this._diagnostics = new Diagnostics()
+  }
+
+
+  /**
+   * Get the metadata from the header of the last SWC parsed, also available as the
+   * `metadata` property of the raw morphology. Both the standard SWC header fields
+   * (ORIGINAL_SOURCE, CREATURE, REGION, SCALE, etc.) and the NeuroMorpho.Org conventions
+   * are understood, while the other comments are kept as free-form comments.
+   * See `parseSwcHeader()` for the details.
+   * On top of that, `appliedCorrections` tells if the SCALE and the SHRINKAGE_CORRECTION were
+   * applied (see the options), as { scale, shrinkageCorrection } where each is null if not
+   * applied or of form { factors: [x, y, z], radiusFactor: Number }.
+   * @return {Object}
+   */
+  getMetadata() {
+    return this._metadata
+  }
+
+
+  /**
+   * Get the columnar table of points from the last parsing
+   * @return {PointTable}
+   */
+  getPointTable() {
+    return this._pointTable
   }
 
 
@@ -55,6 +411,126 @@ class SwcParser {
     return this._morphology
   }
 
+  /**
+   * Get the collection of nodes built during the last parsing. This is the lower level
+   * representation, where each point of the SWC file is a TreeNode.
+   * @return {TreeNodeCollection}
+   */
+  getTreeNodeCollection() {
+    return this._treeNodeCollection
+  }
+
+  /**
+   * Get the node where the axon starts, meaning the first axon node that
+   * has no parent or whose parent is not part of the axon (usually a soma node).
+   * If the morphology has more than one axon, the origin of the first one declared
+   * in the file is returned.
+   * @return {TreeNode|null} the axon origin or null if the morphology has no axon
+   */
+  getAxonOrigin() {
+    if (!this._treeNodeCollection) {
+      return null
+    }
+
+    const origins = this._treeNodeCollection.getAxonOrigins()
+    return origins.length ? origins[0] : null
+  }
+
+  /**
+   * Get the geometry of the soma, built with the convention of the option
+   * `somaConvention` or the one detected. See SomaShape.
+   * @return {SomaShape|null} null if nothing was parsed yet or there is no soma
+   */
+  getSoma() {
+    return this._treeNodeCollection ? this._treeNodeCollection.getSoma() : null
+  }
+
+  /**
+   * Run validation rules over the nodes of the last parsed file. To run them while
+   * parsing, before the sections are built, use the option `validate` instead.
+   * @param {Validator} validator - the rules to run (default: a Validator with the
+   * default rules)
+   * @return {Diagnostics} a new report with the findings of the rules, empty if nothing
+   * was parsed yet
+   */
+  validate(validator = new Validator()) {
+    if (!this._treeNodeCollection) {
+      return new Diagnostics()
+    }
+    return this._treeNodeCollection.validate(validator)
+  }
+
+  /**
+   * Fix what can be fixed in the last parsed file: mislabelled points, duplicate points,
+   * zero-length segments, invalid radii and fragments. The parser keeps the original
+   * data, the repaired morphology is in the new collection. See Repairer.
+   * @param {Repairer} repairer - the passes to run (default: a Repairer with the
+   * default passes)
+   * @return {Object|null} of form { collection: TreeNodeCollection, log: Diagnostics },
+   * the repaired collection and the log of all the changes, or null if nothing was
+   * parsed yet
+   */
+  repair(repairer = new Repairer()) {
+    return this._treeNodeCollection ? this._treeNodeCollection.repair(repairer) : null
+  }
+
+  /**
+   * Get all the somas, when the file has several cells. The soma of the morphology is
+   * the first one, the sections of the raw morphology tell which soma they are connected
+   * to with their `somaId`. See `TreeNodeCollection.getSomas()`.
+   * @return {Array} array of SomaShape instances, empty if nothing was parsed yet
+   */
+  getSomas() {
+    return this._treeNodeCollection ? this._treeNodeCollection.getSomas() : []
+  }
+
+  /**
+   * Split the last parsed file into one morphology per cell, that is per soma with all
+   * the points connected to it. The trees without soma are left out.
+   * Each cell has `getRawMorphology()`, `getMorphology()`, `getSoma()` and
+   * `getDiagnostics()`, see `TreeNodeCollection.splitCells()`.
+   * @return {Array} array of TreeNodeCollection instances, in the order of `getSomas()`
+   */
+  splitCells() {
+    return this._treeNodeCollection ? this._treeNodeCollection.splitCells() : []
+  }
+
+  /**
+   * Get the index between the ids of the points, as written in the SWC file, and their
+   * location in the sections of the morphology, as { sectionId, pointIndex }.
+   * See PointIndex.
+   * @return {PointIndex|null} null if nothing was parsed yet
+   */
+  getPointIndex() {
+    return this._treeNodeCollection ? this._treeNodeCollection.getPointIndex() : null
+  }
+
+  /**
+   * Get the report of the issues found during the last parsing
+   * (this is also what `parse()` returns)
+   * @return {Diagnostics}
+   */
+  getDiagnostics() {
+    return this._diagnostics
+  }
+
+  /**
+   * Get the registry that tells what the type codes mean. Types can be registered
+   * in it before parsing.
+   * @return {SwcTypeRegistry}
+   */
+  getTypeRegistry() {
+    return this._options.typeRegistry
+  }
+
+  /**
+   * Get the options used by _this_ parser, with the defaults filled in
+   * @return {Object}
+   */
+  getOptions() {
+    return this._options
+  }
+
   /**
    * @private
    * build an Array of points from the SWC string.
@@ -67,37 +543,295 @@ class SwcParser {
    *     y: Number,
    *     z: Number,
    *     radius: Number,
-   *     parentId: Number
+   *     parentId: Number,
+   *     lineNumber: Number,
+   *     extras: Array (only if the row has more than 7 columns)
    *   ]
+   * The line number starts at 1 and is the one from the original file, comments included.
+   * The extras are the values of the columns after the 7 SWC ones, as numbers.
+   * In lenient mode, rows with fewer than 7 columns are ignored, ids, types and parent ids
+   * written as floats are rounded and non-numerical coordinates and radii are kept as NaN.
+   * A row whose id is not a number is ignored, a type that is not a number is read as 0
+   * (undefined) and a parent id that is not a number as -1 (no parent), since these columns
+   * are integers that cannot be NaN in a PointTable. The same goes for the values that
+   * do not fit in the 32-bit integers of a PointTable. Each of these fixes is recorded in
+   * `diagnostics`. In strict mode, they throw a SwcParseError instead.
    * @param {String} swcStr - the string from the SWC file
+   * @param {Object} options - the parse options (see constructor)
+   * @param {Diagnostics} diagnostics - the report to add the issues to (default: null)
    * @return {Array} all the points
    */
-  static extractPoints(swcStr) {
-    // remove header/comments from SWC
-    let result = swcStr.replace(/\s*#.*?$/mg, '')
-    // remove empty lines and empty last line
-    result = result.trim().replace(/^\s*$/mg, '')
-
-    // store the data in memory-efficient typed arrays
-    const lines = result.split('\n')
+  static extractPoints(swcStr, options = {}, diagnostics = null) {
     const swcPoints = []
+    SwcParser._readRows(swcStr, options, diagnostics, (values, line, extras) => {
+      const point = [
+        values[0], values[1], values[2], values[3], values[4], values[5], values[6], line,
+      ]
+      if (extras) {
+        point.push(extras)
+      }
+      swcPoints.push(point)
+    })
+    return swcPoints
+  }
+
+  /**
+   * Build a PointTable from the SWC string. Works like `extractPoints()`, but the
+   * points are stored in typed arrays, one per column.
+   * @param {String} swcStr - the string from the SWC file
+   * @param {Object} options - the parse options (see constructor)
+   * @param {Diagnostics} diagnostics - the report to add the issues to (default: null)
+   * @param {Function} onComment - called with every comment line, as an Object of form
+   * { line: Number, text: String } (default: null)
+   * @return {PointTable} all the points
+   */
+  static extractPointTable(swcStr, options = {}, diagnostics = null, onComment = null) {
+    const table = new PointTable({ floatPrecision: buildParseOptions(options).floatPrecision })
+    SwcParser._readRows(
+      swcStr,
+      options,
+      diagnostics,
+      (values, line, extras) => table.addRow(values, line, extras),
+      onComment,
+    )
+    table.trim()
+    return table
+  }
+
+  /**
+   * @private
+   * Read all the rows of the SWC string and give every point found to a callback
+   * (see `extractPoints` for the format of a point and the fixes applied)
+   * @param {String} swcStr - the string from the SWC file
+   * @param {Object} options - the parse options (see constructor)
+   * @param {Diagnostics} diagnostics - the report to add the issues to (default: null)
+   * @param {Function} onPoint - called with every point, see `_readLine()`
+   * @param {Function} onComment - called with every comment line (default: null)
+   */
+  static _readRows(swcStr, options, diagnostics, onPoint, onComment = null) {
+    const opts = buildParseOptions(options)
+    const report = diagnostics || new Diagnostics()
+    const lines = swcStr.split('\n')
 
     for (let i = 0; i < lines.length; i += 1) {
-      const row = lines[i].replace(/^\s+/m, '').replace(/\s+$/m, '').split(/[\s,]+/)
-      if (row.length >= 7) {
+      SwcParser._readLine(lines[i], i + 1, opts, report, onPoint, onComment)
+    }
+  }
+
+  /**
+   * @private
+   * Read a single line of a SWC file and give the point it contains, if any, to a callback
+   * @param {String} line - the text of the line, without the line break
+   * @param {Number} lineNumber - the number of this line in the file, starting at 1
+   * @param {Object} options - the complete parse options
+   * @param {Diagnostics} diagnostics - the report to add the issues to
+   * @param {Function} onPoint - (values: Float64Array, lineNumber: Number, extras: Array)
+   * called with the point, where the values are the 7 SWC columns and the extras the
+   * values of the columns after them, or null. The values are only valid during the call,
+   * they are overwritten by the next row.
+   * @param {Function} onComment - called if the line is a comment, with an Object of form
+   * { line: Number, text: String, rawText: String }, the text being what comes after
+   * the '#' and the raw text being the whole line (default: null)
+   */
+  static _readLine(line, lineNumber, options, diagnostics, onPoint, onComment = null) {
+    // remove comments and surrounding spaces, then skip what is left empty
+    const commentIndex = line.indexOf('#')
+    const content = (commentIndex === -1 ? line : line.slice(0, commentIndex)).trim()
+
+    if (!content.length) {
+      if (onComment && commentIndex !== -1) {
+        onComment({
+          line: lineNumber,
+          text: line.slice(commentIndex + 1).trim(),
+          rawText: line.replace(/\s+$/, ''),
+        })
+      }
+      return
+    }
+
+    const row = content.split(/[\s,]+/)
+
+    if (row.length < 7) {
+      SwcParser._reportFix(
+        ISSUE_TYPES.ROW_TOO_SHORT,
+        `Line ${lineNumber} has ${row.length} column(s) instead of 7.`,
+        'It is ignored.',
+        SwcParser._getLocation(line, lineNumber, row.length + 1, null),
+        options,
+        diagnostics,
+      )
+      return
+    }
+
+    if (SwcParser._parseRow(row, line, lineNumber, options, diagnostics, ROW_VALUES)) {
+      const extras = row.length > 7
+        ? SwcParser._parseExtras(row, line, lineNumber, diagnostics, ROW_VALUES[0])
+        : null
+      onPoint(ROW_VALUES, lineNumber, extras)
+    }
+  }
+
+  /**
+   * @private
+   * Read the 7 SWC columns of a row (see `extractPoints` for the fixes applied)
+   * @param {Array} row - the columns of the row as strings, at least 7 of them
+   * @param {String} line - the text of the line
+   * @param {Number} lineNumber - the number of this line in the file
+   * @param {Object} options - the complete parse options
+   * @param {Diagnostics} diagnostics - the report to add the fixes to
+   * @param {Float64Array} values - where to write the 7 values
+   * @return {Boolean} false if the row is ignored
+   */
+  static _parseRow(row, line, lineNumber, options, diagnostics, values) {
+    for (let c = 0; c < 7; c += 1) {
+      const value = Number(row[c])
+
+      if (!INTEGER_COLUMNS[c]) {
+        if (Number.isNaN(value)) {
+          SwcParser._reportFix(
+            ISSUE_TYPES.INVALID_NUMBER,
+            `Line ${lineNumber}: the ${COLUMN_NAMES[c]} "${row[c]}" is not a valid number.`,
+            'It is read as NaN.',
+            SwcParser._getLocation(line, lineNumber, c + 1, values[0]),
+            options,
+            diagnostics,
+          )
+        }
+        values[c] = value // eslint-disable-line no-param-reassign
+      } else {
         // allow for sloppy SWC that contains integers written as floats
-        swcPoints[i] = [
-          Math.round(parseFloat(row[0])),
-          Math.round(parseFloat(row[1])),
-          parseFloat(row[2]),
-          parseFloat(row[3]),
-          parseFloat(row[4]),
-          parseFloat(row[5]),
-          Math.round(parseFloat(row[6])),
-        ]
+        const rounded = Math.round(value)
+
+        // this is false for NaN too
+        if (rounded >= MIN_INTEGER && rounded <= MAX_INTEGER) {
+          if (rounded !== value) {
+            SwcParser._reportFix(
+              ISSUE_TYPES.VALUE_ROUNDED,
+              `Line ${lineNumber}: the ${COLUMN_NAMES[c]} ${row[c]} is not an integer.`,
+              `It is rounded to ${rounded}.`,
+              SwcParser._getLocation(line, lineNumber, c + 1, c === 0 ? null : values[0]),
+              options,
+              diagnostics,
+            )
+          }
+          values[c] = rounded // eslint-disable-line no-param-reassign
+        } else if (!SwcParser._fixInvalidInteger(
+          row,
+          c,
+          line,
+          lineNumber,
+          options,
+          diagnostics,
+          values,
+        )) {
+          return false
+        }
       }
     }
-    return swcPoints
+
+    return true
+  }
+
+  /**
+   * @private
+   * Deal with an id, type or parent id that is not a number, or that does not fit in the
+   * Int32Array of a PointTable: the row is ignored if this is the id, the type is read
+   * as 0 (undefined) and the parent id as -1, so that the point becomes the root of
+   * a new tree.
+   * @param {Array} row - the columns of the row as strings
+   * @param {Number} c - the index of the column, 0, 1 or 6
+   * @param {String} line - the text of the line
+   * @param {Number} lineNumber - the number of this line in the file
+   * @param {Object} options - the complete parse options
+   * @param {Diagnostics} diagnostics - the report to add the fix to
+   * @param {Float64Array} values - where to write the value
+   * @return {Boolean} false if the row is to be ignored
+   */
+  static _fixInvalidInteger(row, c, line, lineNumber, options, diagnostics, values) {
+    const problem = Number.isNaN(Number(row[c]))
+      ? `Line ${lineNumber}: the ${COLUMN_NAMES[c]} "${row[c]}" is not a valid number.`
+      : `Line ${lineNumber}: the ${COLUMN_NAMES[c]} ${row[c]} is out of range (${MIN_INTEGER} to ${MAX_INTEGER}).`
+    const location = SwcParser._getLocation(line, lineNumber, c + 1, c === 0 ? null : values[0])
+
+    if (c === 0) {
+      SwcParser._reportFix(ISSUE_TYPES.INVALID_NUMBER, problem, 'The row is ignored.', location, options, diagnostics)
+      return false
+    }
+
+    if (c === 1) {
+      SwcParser._reportFix(ISSUE_TYPES.INVALID_NUMBER, problem, 'It is read as 0 (undefined).', location, options, diagnostics)
+      values[1] = 0 // eslint-disable-line no-param-reassign
+    } else {
+      SwcParser._reportFix(ISSUE_TYPES.MISSING_PARENT, problem, 'It is read as -1, the point is the root of a new tree.', location, options, diagnostics)
+      values[6] = -1 // eslint-disable-line no-param-reassign
+    }
+    return true
+  }
+
+  /**
+   * @private
+   * Read the columns that come after the 7 SWC ones. They are not part of the spec,
+   * so an invalid value is not an error, even in strict mode.
+   * @param {Array} row - the columns of the row as strings, more than 7 of them
+   * @param {String} line - the text of the line
+   * @param {Number} lineNumber - the number of this line in the file
+   * @param {Diagnostics} diagnostics - the report to add the issues to
+   * @param {Number} pointId - the id of the point
+   * @return {Array} the values, as numbers
+   */
+  static _parseExtras(row, line, lineNumber, diagnostics, pointId) {
+    const extras = []
+    for (let c = 7; c < row.length; c += 1) {
+      const value = Number(row[c])
+      if (Number.isNaN(value)) {
+        diagnostics.warning(
+          ISSUE_TYPES.INVALID_NUMBER,
+          `Line ${lineNumber}: the value "${row[c]}" of the column ${c + 1} is not a valid number. It is read as NaN.`,
+          SwcParser._getLocation(line, lineNumber, c + 1, pointId),
+        )
+      }
+      extras.push(value)
+    }
+    return extras
+  }
+
+  /**
+   * @private
+   * Build the location of an issue. This is only done when there is an issue, since
+   * the rows are read in a tight loop.
+   * @param {String} line - the text of the line
+   * @param {Number} lineNumber - the number of this line in the file
+   * @param {Number} column - the column, starting at 1
+   * @param {Number} pointId - the id of the point, or null if not known yet
+   * @return {Object} of form { line: Number, column: Number, rawText: String, pointId: Number }
+   */
+  static _getLocation(line, lineNumber, column, pointId) {
+    return {
+      line: lineNumber,
+      column,
+      rawText: line,
+      pointId,
+    }
+  }
+
+  /**
+   * @private
+   * Deal with something that is not conform to the SWC spec. In strict mode, this throws
+   * a SwcParseError, in lenient mode, this records the fix applied in the diagnostics.
+   * @param {String} type - type of issue, one of the values from IssueTypes
+   * @param {String} problem - human readable description of the issue
+   * @param {String} fix - human readable description of the fix applied in lenient mode
+   * @param {Object} location - of form { line: Number, column: Number, rawText: String,
+   * pointId: Number }
+   * @param {Object} options - the complete parse options
+   * @param {Diagnostics} diagnostics - the report to add the fix to
+   */
+  static _reportFix(type, problem, fix, location, options, diagnostics) {
+    if (options.strict) {
+      throw new SwcParseError(problem, Object.assign({ type }, location))
+    }
+
+    diagnostics.warning(type, `${problem} ${fix}`, location)
   }
 }
 
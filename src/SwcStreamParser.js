@@ -0,0 +1,260 @@
+import SwcParser from './SwcParser'
+import PointTable from './PointTable'
+
+/**
+ * A SwcStreamParser reads a SWC file chunk by chunk, so that very large files
+ * never have to be loaded as a single string. The chunks can be given one by one
+ * with `push()` and `end()`, or all at once from a Web or Node ReadableStream with
+ * `parseStream()`. A row can be split across two chunks.
+ * Once the end of the data is reached, the result is accessible with the same
+ * getters as SwcParser.
+ *
+ * Events, to subscribe to with `on()`:
+ * - 'progress': called after each chunk with an Object of form
+ *   { bytesRead: Number, totalBytes: Number|null, linesRead: Number,
+ *   pointsRead: Number, percent: Number|null }
+ * - 'end': called when the morphology is built, with the Diagnostics
+ *
+ * ```JavaScript
+ * const parser = new SwcStreamParser()
+ * parser.on('progress', p => console.log(`${p.pointsRead} points read`))
+ * parser.push(chunk1)
+ * parser.push(chunk2)
+ * const diagnostics = parser.end()
+ * const morphology = parser.getMorphology()
+ * ```
+ */
+class SwcStreamParser extends SwcParser {
+  /**
+   * @param {Object} options - the parse options, same as for SwcParser
+   */
+  constructor(options = {}) {
+    super(options)
+    this._listeners = {}
+    this._resetStream()
+  }
+
+
+  /**
+   * Add a callback to an event
+   * @param {String} eventName - 'progress' or 'end'
+   * @param {Function} callback - function to call when the event happens
+   */
+  on(eventName, callback) {
+    if (!(eventName in this._listeners)) {
+      this._listeners[eventName] = []
+    }
+    this._listeners[eventName].push(callback)
+  }
+
+
+  /**
+   * Remove a callback from an event
+   * @param {String} eventName - 'progress' or 'end'
+   * @param {Function} callback - function previously given to `on()`
+   */
+  off(eventName, callback) {
+    if (eventName in this._listeners) {
+      this._listeners[eventName] = this._listeners[eventName].filter(cb => cb !== callback)
+    }
+  }
+
+
+  /**
+   * Define the total size of the data to come, so that the progress events can tell a
+   * percentage. It has to be in the same unit as the chunks: bytes for binary chunks,
+   * characters for string chunks.
+   * @param {Number} totalBytes - the total size
+   */
+  setTotalBytes(totalBytes) {
+    this._totalBytes = totalBytes
+  }
+
+
+  /**
+   * Give the next chunk of data. All the complete rows it contains are read right away,
+   * while the last one is kept until the next chunk or `end()`.
+   * @param {String|Uint8Array|ArrayBuffer} chunk - a piece of the SWC file. Binary chunks
+   * are decoded as UTF-8
+   */
+  push(chunk) {
+    if (!this._started) {
+      this._reset()
+      this._pointTable = new PointTable({ floatPrecision: this._options.floatPrecision })
+      this._started = true
+    }
+
+    let text = chunk
+    if (typeof chunk !== 'string') {
+      const bytes = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk
+      // eslint-disable-next-line no-undef
+      this._decoder = this._decoder || new TextDecoder('utf-8')
+      text = this._decoder.decode(bytes, { stream: true })
+      this._bytesRead += bytes.byteLength
+    } else {
+      this._bytesRead += chunk.length
+    }
+
+    const lines = (this._remainder + text).split('\n')
+    this._remainder = lines.pop()
+    lines.forEach(line => this._readStreamLine(line))
+
+    this._emitProgress()
+  }
+
+
+  /**
+   * Tell there is no more data to come. This reads the last row and builds the morphology.
+   * After that, the parser is ready for another file.
+   * @return {Diagnostics} the issues found while parsing
+   */
+  end() {
+    if (!this._started) {
+      this.push('')
+    }
+
+    let diagnostics
+    try {
+      if (this._decoder) {
+        this._remainder += this._decoder.decode()
+      }
+
+      this._readStreamLine(this._remainder)
+      this._remainder = ''
+      this._emitProgress()
+
+      this._pointTable.trim()
+      this._endTokenizing()
+      diagnostics = this._buildFromPointTable()
+    } finally {
+      this._resetStream()
+    }
+
+    this._emit('end', diagnostics)
+    return diagnostics
+  }
+
+
+  /**
+   * Read a whole stream, chunk by chunk, then build the morphology.
+   * @param {ReadableStream|stream.Readable} stream - a Web ReadableStream (eg. the body
+   * of a fetch response) or a Node readable stream (eg. from fs.createReadStream)
+   * @param {Number} totalBytes - total size of the data, to have a percentage in the
+   * progress events (default: null)
+   * @return {Promise} resolves with the Diagnostics once the morphology is built, rejects
+   * if the stream fails or if a row cannot be read in strict mode. In this case, the
+   * stream is cancelled and the parser is ready for another one.
+   */
+  async parseStream(stream, totalBytes = null) {
+    this.setTotalBytes(totalBytes)
+
+    try {
+      if (typeof stream.getReader === 'function') {
+        await this._readWebStream(stream.getReader())
+      } else {
+        await new Promise((resolve, reject) => {
+          stream.on('data', (chunk) => {
+            try {
+              this.push(chunk)
+            } catch (e) {
+              stream.destroy()
+              reject(e)
+            }
+          })
+          stream.on('end', resolve)
+          stream.on('error', reject)
+        })
+      }
+
+      return this.end()
+    } catch (e) {
+      this._resetStream()
+      throw e
+    }
+  }
+
+
+  /**
+   * @private
+   * Push all the chunks of a Web ReadableStream
+   * @param {ReadableStreamDefaultReader} reader - the reader of the stream
+   * @return {Promise} resolves once the stream is done, rejects if a chunk cannot be read,
+   * after cancelling the stream
+   */
+  async _readWebStream(reader) {
+    for (;;) {
+      // eslint-disable-next-line no-await-in-loop
+      const { done, value } = await reader.read()
+      if (done) {
+        return
+      }
+
+      try {
+        this.push(value)
+      } catch (e) {
+        reader.cancel(e)
+        throw e
+      }
+    }
+  }
+
+
+  /**
+   * @private
+   * Read a complete line and add its point to the table, if any
+   * @param {String} line - a line of the file
+   */
+  _readStreamLine(line) {
+    this._linesRead += 1
+    SwcParser._readLine(
+      line,
+      this._linesRead,
+      this._options,
+      this._diagnostics,
+      (values, lineNumber, extras) => this._pointTable.addRow(values, lineNumber, extras),
+      c => this._comments.push(c),
+    )
+  }
+
+
+  /**
+   * @private
+   * Tell the 'progress' listeners where we are
+   */
+  _emitProgress() {
+    this._emit('progress', {
+      bytesRead: this._bytesRead,
+      totalBytes: this._totalBytes,
+      linesRead: this._linesRead,
+      pointsRead: this._pointTable.getLength(),
+      percent: this._totalBytes ? Math.min(100, (100 * this._bytesRead) / this._totalBytes) : null,
+    })
+  }
+
+
+  /**
+   * @private
+   * Call all the callbacks of an event
+   * @param {String} eventName - name of the event
+   * @param {*} data - what is given to the callbacks
+   */
+  _emit(eventName, data) {
+    (this._listeners[eventName] || []).forEach(cb => cb(data))
+  }
+
+
+  /**
+   * @private
+   * Get ready to read a new stream
+   */
+  _resetStream() {
+    this._started = false
+    this._remainder = ''
+    this._decoder = null
+    this._bytesRead = 0
+    this._totalBytes = null
+    this._linesRead = 0
+  }
+}
+
+export default SwcStreamParser
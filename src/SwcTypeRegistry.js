@@ -0,0 +1,208 @@
+import SWC_TYPES from './SWCTypes'
+
+/*
+ * The categories a type can belong to. The soma category decides which points make
+ * the soma, the axon category which points are considered when looking for the axon.
+ */
+const CATEGORIES = {
+  SOMA: 'soma',
+  AXON: 'axon',
+  DENDRITE: 'dendrite',
+  OTHER: 'other',
+}
+
+// the standard SWC types, with the names used by morphologycorejs
+const DEFAULT_TYPES = [
+  {
+    code: SWC_TYPES.UNDEFINED, name: 'undefined', color: '#808080', category: CATEGORIES.OTHER,
+  },
+  {
+    code: SWC_TYPES.SOMA, name: 'soma', color: '#000000', category: CATEGORIES.SOMA,
+  },
+  {
+    code: SWC_TYPES.AXON, name: 'axon', color: '#0000ff', category: CATEGORIES.AXON,
+  },
+  {
+    code: SWC_TYPES.BASAL_DENDRITE, name: 'basal_dendrite', color: '#ff0000', category: CATEGORIES.DENDRITE,
+  },
+  {
+    code: SWC_TYPES.APICAL_DENDRITE, name: 'apical_dendrite', color: '#800080', category: CATEGORIES.DENDRITE,
+  },
+  {
+    code: SWC_TYPES.CUSTOM, name: 'custom', color: '#ffa500', category: CATEGORIES.OTHER,
+  },
+]
+
+/**
+ * A SwcTypeRegistry tells what the type codes of the SWC points mean: a name, a color
+ * and a category (soma, axon, dendrite or other). It knows the standard types 0 to 5,
+ * and more can be registered, or the standard ones redefined, for example for the
+ * types 6+ that labs use for fork points, end points, glia or their own neurite classes.
+ * The parsers use it to find the soma points and the axon, and to fill the `typename`
+ * of the sections of the raw morphology. The types that are not registered are named
+ * 'custom' and belong to the category 'other'.
+ *
+ * ```JavaScript
+ * const registry = new SwcTypeRegistry()
+ * registry.register(7, { name: 'oblique_dendrite', color: '#ff00ff', category: 'dendrite' })
+ * const swcParser = new SwcParser({ typeRegistry: registry })
+ * ```
+ */
+class SwcTypeRegistry {
+  constructor() {
+    this._types = new Map()
+    DEFAULT_TYPES.forEach(t => this.register(t.code, t))
+  }
+
+
+  /**
+   * Build a SwcTypeRegistry from the output of `toJSON()`, for example after it went
+   * through a JSON file or a `postMessage()`
+   * @param {Object} json - of form { types: Array }
+   * @return {SwcTypeRegistry}
+   */
+  static fromJSON(json) {
+    const registry = new SwcTypeRegistry()
+    json.types.forEach(t => registry.register(t.code, t))
+    return registry
+  }
+
+
+  /**
+   * Get the categories a type can belong to
+   * @return {Object} of form { SOMA: 'soma', AXON: 'axon', DENDRITE: 'dendrite', OTHER: 'other' }
+   */
+  static getCategories() {
+    return Object.assign({}, CATEGORIES)
+  }
+
+
+  /**
+   * Add a type, or redefine an existing one
+   * @param {Number} code - the value of the type column in the SWC file, an integer
+   * @param {Object} description - the description of the type
+   * @param {String} description.name - name of the type, eg. 'fork_point'
+   * @param {String} description.color - color of the type, as a CSS color (default: null)
+   * @param {String} description.category - 'soma', 'axon', 'dendrite' or 'other'
+   * (default: 'other')
+   * @return {SwcTypeRegistry} _this_ registry, to chain the calls
+   */
+  register(code, { name, color = null, category = CATEGORIES.OTHER }) {
+    if (!Number.isInteger(code)) {
+      throw new Error(`The type code must be an integer, not ${code}`)
+    }
+
+    if (!name) {
+      throw new Error(`The type ${code} must have a name`)
+    }
+
+    if (!Object.values(CATEGORIES).includes(category)) {
+      throw new Error(`The category of the type ${code} must be one of '${Object.values(CATEGORIES).join('\', \'')}'`)
+    }
+
+    this._types.set(code, {
+      code,
+      name,
+      color,
+      category,
+    })
+    return this
+  }
+
+
+  /**
+   * Tells if a type is registered
+   * @param {Number} code - a type code
+   * @return {Boolean}
+   */
+  has(code) {
+    return this._types.has(code)
+  }
+
+
+  /**
+   * Get the description of a type
+   * @param {Number} code - a type code
+   * @return {Object} of form { code, name, color, category }, with a default description
+   * if the type is not registered
+   */
+  get(code) {
+    if (this._types.has(code)) {
+      return Object.assign({}, this._types.get(code))
+    }
+
+    return {
+      code,
+      name: 'custom',
+      color: null,
+      category: CATEGORIES.OTHER,
+    }
+  }
+
+
+  /**
+   * @param {Number} code - a type code
+   * @return {String} the name of the type
+   */
+  getName(code) {
+    return this.get(code).name
+  }
+
+
+  /**
+   * @param {Number} code - a type code
+   * @return {String|null} the color of the type
+   */
+  getColor(code) {
+    return this.get(code).color
+  }
+
+
+  /**
+   * @param {Number} code - a type code
+   * @return {String} the category of the type: 'soma', 'axon', 'dendrite' or 'other'
+   */
+  getCategory(code) {
+    return this.get(code).category
+  }
+
+
+  /**
+   * @param {Number} code - a type code
+   * @return {Boolean} true if the type is in the soma category
+   */
+  isSoma(code) {
+    return this.getCategory(code) === CATEGORIES.SOMA
+  }
+
+
+  /**
+   * @param {Number} code - a type code
+   * @return {Boolean} true if the type is in the axon category
+   */
+  isAxon(code) {
+    return this.getCategory(code) === CATEGORIES.AXON
+  }
+
+
+  /**
+   * Get all the registered types
+   * @return {Array} of Objects of form { code, name, color, category }, by code
+   */
+  getTypes() {
+    return Array.from(this._types.values())
+      .sort((a, b) => a.code - b.code)
+      .map(t => Object.assign({}, t))
+  }
+
+
+  /**
+   * Get a copy of the registry that can be serialized, see `SwcTypeRegistry.fromJSON()`
+   * @return {Object} of form { types: Array }
+   */
+  toJSON() {
+    return { types: this.getTypes() }
+  }
+}
+
+export default SwcTypeRegistry
@@ -0,0 +1,467 @@
+import TreeNodeCollection from './TreeNodeCollection'
+import SWC_TYPES from './SWCTypes'
+import SwcTypeRegistry from './SwcTypeRegistry'
+
+// the header fields that are already applied to the coordinates when
+// `appliedCorrections` says so, and thus must not be written as is
+const CORRECTION_FIELDS = {
+  scale: 'SCALE',
+  shrinkageCorrection: 'SHRINKAGE_CORRECTION',
+}
+
+/**
+ * A SwcWriter serializes a morphology back to the SWC format. It accepts:
+ * - a raw morphology, as returned by `SwcParser.getRawMorphology()`
+ * - a morphologycorejs Morphology, as returned by `SwcParser.getMorphology()`
+ * - a TreeNodeCollection, as returned by `SwcParser.getTreeNodeCollection()`
+ *
+ * The rows are always written with the parents before their children. When the source
+ * has point ids (TreeNodeCollection, or raw morphology parsed with the option `lossless`),
+ * they are kept unless renumbering is asked, as well as the original order of the rows.
+ * Otherwise the points are numbered from 1, in the order they are written.
+ * The attributes of the points, that come from the extra columns of the parsed file, are
+ * written back as extra columns, in the same order.
+ * When the metadata comes from SwcParser, the header is written as it was in the
+ * original file, so that a file parsed in lossless mode and written back is the same,
+ * except for blank lines, comments at the end of rows and the formatting of numbers.
+ *
+ * ```JavaScript
+ * const writer = new SwcWriter({ precision: 3 })
+ * const swcStr = writer.write(swcParser.getRawMorphology())
+ * ```
+ */
+class SwcWriter {
+  /**
+   * @param {Object} options - the options
+   * @param {Number} options.precision - number of decimals for the coordinates and radii.
+   * If null, numbers are written with as many decimals as needed (default: null)
+   * @param {Boolean} options.renumber - if true, the points are numbered from 1 in the order
+   * they are written, even if the source has ids (default: false)
+   * @param {Boolean|String|Array} options.header - true to build the header from the
+   * metadata, false for no header, or the header itself as a String or an Array of lines,
+   * without the leading '#' (default: true)
+   * @param {Object} options.metadata - the metadata to build the header from, as returned by
+   * `SwcParser.getMetadata()`. If not provided, the `metadata` of the raw morphology is
+   * used, if any (default: null)
+   * @param {SwcTypeRegistry} options.typeRegistry - what the type codes mean, to tell
+   * which sections of a raw morphology or a Morphology are soma sections. It should be the
+   * one the morphology was parsed with, see `SwcParser.getTypeRegistry()` (default: a
+   * registry of the standard types)
+   */
+  constructor({
+    precision = null,
+    renumber = false,
+    header = true,
+    metadata = null,
+    typeRegistry = new SwcTypeRegistry(),
+  } = {}) {
+    this._precision = precision
+    this._renumber = renumber
+    this._header = header
+    this._metadata = metadata
+    this._typeRegistry = typeRegistry
+  }
+
+
+  /**
+   * Serialize a morphology into a SWC string
+   * @param {Object|Morphology|TreeNodeCollection} source - the morphology to write
+   * @return {String} the content of the SWC file
+   */
+  write(source) {
+    let rows = SwcWriter.buildRows(source, this._typeRegistry)
+    const metadata = this._metadata || source.metadata || null
+
+    if (this._renumber) {
+      rows = SwcWriter._renumberRows(rows)
+    }
+
+    const lines = this._buildHeader(metadata)
+    const extraNames = SwcWriter._getAttributeNames(rows)
+    rows.forEach((r) => {
+      const attributes = r.attributes || {}
+      lines.push([
+        r.id,
+        r.type,
+        this._formatNumber(r.position[0]),
+        this._formatNumber(r.position[1]),
+        this._formatNumber(r.position[2]),
+        this._formatNumber(r.radius),
+        r.parentId,
+        ...extraNames.map(name => (name in attributes ? String(attributes[name]) : 'NaN')),
+      ].join(' '))
+    })
+
+    return `${lines.join('\n')}\n`
+  }
+
+
+  /**
+   * Build the rows to write from any kind of source, with the parents before their
+   * children. This is what SwcWriter writes, and what NeuroMLWriter makes its segments of.
+   * @param {Object|Morphology|TreeNodeCollection} source - the morphology to write
+   * @param {SwcTypeRegistry} typeRegistry - what the type codes mean (default: a registry
+   * of the standard types)
+   * @return {Array} rows, of form { id, type, position, radius, parentId, attributes }
+   */
+  static buildRows(source, typeRegistry = new SwcTypeRegistry()) {
+    if (source instanceof TreeNodeCollection) {
+      return SwcWriter._sortRows(SwcWriter._rowsFromTreeNodeCollection(source))
+    }
+
+    if (source && typeof source.getArrayOfSections === 'function') {
+      return SwcWriter._rowsFromRawMorphology(SwcWriter._morphologyToRaw(source), typeRegistry)
+    }
+
+    if (source && ('sections' in source || 'soma' in source)) {
+      return SwcWriter._hasPointIds(source)
+        ? SwcWriter._sortRows(SwcWriter._rowsFromLosslessRawMorphology(source))
+        : SwcWriter._rowsFromRawMorphology(source, typeRegistry)
+    }
+
+    throw new Error('The source must be a raw morphology, a Morphology or a TreeNodeCollection')
+  }
+
+
+  /**
+   * @private
+   * Write a float with the precision of _this_ writer
+   * @param {Number} value - a coordinate or a radius
+   * @return {String}
+   */
+  _formatNumber(value) {
+    if (this._precision === null) {
+      return String(value)
+    }
+    return value.toFixed(this._precision)
+  }
+
+
+  /**
+   * @private
+   * Get the header lines, according to the option `header`
+   * @param {Object} metadata - the metadata, can be null
+   * @return {Array} the lines of the header, with the '#'
+   */
+  _buildHeader(metadata) {
+    if (!this._header) {
+      return []
+    }
+
+    if (typeof this._header === 'string' || Array.isArray(this._header)) {
+      const texts = Array.isArray(this._header) ? this._header : this._header.split('\n')
+      return texts.map(text => `# ${text}`.trim())
+    }
+
+    if (!metadata) {
+      return []
+    }
+
+    const applied = metadata.appliedCorrections || {}
+
+    // the header as it was in the original file
+    if (metadata.headerLines) {
+      return metadata.headerLines.map((h) => {
+        if (h.field in CORRECTION_FIELDS && applied[h.field]) {
+          return `# Already applied to the coordinates: ${h.rawText.replace(/^[^#]*#\s*/, '')}`
+        }
+        return h.rawText
+      })
+    }
+
+    const skippedFields = Object.keys(CORRECTION_FIELDS)
+      .filter(property => applied[property])
+      .map(property => CORRECTION_FIELDS[property])
+
+    const lines = []
+    Object.keys(metadata.fields || {}).forEach((key) => {
+      if (skippedFields.includes(key)) {
+        lines.push(`Already applied to the coordinates: ${key} ${metadata.fields[key]}`)
+        return
+      }
+      metadata.fields[key].split('\n').forEach(value => lines.push(`${key} ${value}`))
+    })
+
+    const nm = metadata.neuroMorpho
+    if (nm) {
+      lines.push(`Original file '${nm.originalFile}' edited by ${nm.editedBy} using ${nm.software} version ${nm.softwareVersion} on ${nm.date}.`)
+    }
+
+    const comments = metadata.comments || []
+    comments.forEach(c => lines.push(c.text))
+    return lines.map(text => `# ${text}`)
+  }
+
+
+  /**
+   * @private
+   * Build the rows from a TreeNodeCollection, keeping the original ids
+   * @param {TreeNodeCollection} collection - the collection to write
+   * @return {Array} rows, of form { id, type, position, radius, parentId, line, attributes }
+   */
+  static _rowsFromTreeNodeCollection(collection) {
+    return collection.getNodes().map((node) => {
+      const parent = node.getParent()
+      return {
+        id: node.getId(),
+        type: node.getType(),
+        position: node.getPosition(),
+        radius: node.getRadius(),
+        parentId: parent ? parent.getId() : -1,
+        attributes: node.getAttributes(),
+        line: node.getLineNumber(),
+      }
+    })
+  }
+
+
+  /**
+   * @private
+   * Build the rows from a raw morphology whose points have their original SWC id,
+   * type and line number (see the parse option `lossless`). The points shared by
+   * a section and its parent are written only once.
+   * @param {Object} raw - the raw morphology, of form { soma, sections }
+   * @return {Array} rows, of form { id, type, position, radius, parentId, line, attributes }
+   */
+  static _rowsFromLosslessRawMorphology(raw) {
+    const rows = new Map()
+
+    raw.sections.forEach((section) => {
+      section.points.forEach((p, i) => {
+        if (rows.has(p.id)) {
+          return
+        }
+
+        // the first point of a section is a root (otherwise it is the same as the last
+        // point of the parent section and was already written)
+        rows.set(p.id, {
+          id: p.id,
+          type: p.type,
+          position: p.position,
+          radius: p.radius,
+          parentId: i === 0 ? -1 : section.points[i - 1].id,
+          attributes: p.attributes || null,
+          line: p.line,
+        })
+      })
+    })
+
+    return Array.from(rows.values())
+  }
+
+
+  /**
+   * @private
+   * Sort the rows in the order of their original line number and then move the
+   * children declared before their parent right after it
+   * @param {Array} rows - rows, of form { id, type, position, radius, parentId, line }
+   * @return {Array} the rows sorted
+   */
+  static _sortRows(rows) {
+    const ordered = rows
+      .map((row, index) => ({ row, index }))
+      .sort((a, b) => (a.row.line || 0) - (b.row.line || 0) || a.index - b.index)
+      .map(item => item.row)
+
+    const written = new Set()
+    const waiting = new Map()
+    const sorted = []
+
+    const writeRow = (first) => {
+      const stack = [first]
+      while (stack.length) {
+        const row = stack.pop()
+        sorted.push(row)
+        written.add(row.id)
+
+        // the children that were waiting for this one can now be written
+        const children = waiting.get(row.id) || []
+        waiting.delete(row.id)
+        for (let i = children.length - 1; i >= 0; i -= 1) {
+          stack.push(children[i])
+        }
+      }
+    }
+
+    ordered.forEach((row) => {
+      if (row.parentId === -1 || written.has(row.parentId)) {
+        writeRow(row)
+      } else {
+        if (!waiting.has(row.parentId)) {
+          waiting.set(row.parentId, [])
+        }
+        waiting.get(row.parentId).push(row)
+      }
+    })
+
+    return sorted
+  }
+
+
+  /**
+   * @private
+   * Build the rows from a raw morphology. The sections are walked from the roots,
+   * so that parents are written before children. When the first point of a section
+   * is the last point of its parent section (this is how SwcParser builds sections),
+   * it is written only once.
+   * @param {Object} raw - the raw morphology, of form { soma, sections }
+   * @param {SwcTypeRegistry} typeRegistry - what the type codes mean, to find the soma
+   * sections
+   * @return {Array} rows, of form { id, type, position, radius, parentId, attributes }
+   */
+  static _rowsFromRawMorphology(raw, typeRegistry) {
+    const sections = raw.sections || []
+    const sectionsById = {}
+    sections.forEach((s) => {
+      sectionsById[s.id] = s
+    })
+
+    const rows = []
+    let nextId = 1
+
+    // When the soma is not also described as sections, its points are written first
+    // and the root sections are attached to its first point
+    let somaAnchorId = -1
+    const hasSomaSection = sections.some(s => typeRegistry.isSoma(s.typevalue))
+    if (raw.soma && !hasSomaSection && raw.soma.points && raw.soma.points.length) {
+      somaAnchorId = nextId
+      raw.soma.points.forEach((p, i) => {
+        rows.push({
+          id: nextId,
+          type: SWC_TYPES.SOMA,
+          position: p.position,
+          radius: 'radius' in p ? p.radius : raw.soma.radius,
+          parentId: i === 0 ? -1 : nextId - 1,
+          attributes: p.attributes || null,
+        })
+        nextId += 1
+      })
+    }
+
+    // id and position of the last point of each section written
+    const lastPoints = {}
+    const stack = sections.filter(s => s.parent === null).reverse()
+
+    while (stack.length) {
+      const section = stack.pop()
+      const parentLastPoint = section.parent === null ? null : lastPoints[section.parent]
+      let parentId = parentLastPoint ? parentLastPoint.id : somaAnchorId
+      let { points } = section
+
+      if (parentLastPoint && points.length
+        && SwcWriter._samePosition(points[0].position, parentLastPoint.position)) {
+        points = points.slice(1)
+      }
+
+      for (let i = 0; i < points.length; i += 1) {
+        rows.push({
+          id: nextId,
+          type: section.typevalue,
+          position: points[i].position,
+          radius: points[i].radius,
+          parentId,
+          attributes: points[i].attributes || null,
+        })
+        parentId = nextId
+        nextId += 1
+      }
+
+      lastPoints[section.id] = points.length
+        ? { id: parentId, position: points[points.length - 1].position }
+        : parentLastPoint
+
+      const children = (section.children || []).map(c => sectionsById[c]).filter(c => c)
+      for (let i = children.length - 1; i >= 0; i -= 1) {
+        stack.push(children[i])
+      }
+    }
+
+    return rows
+  }
+
+
+  /**
+   * @private
+   * Convert a morphologycorejs Morphology into a raw morphology
+   * @param {Morphology} morphology - the morphology
+   * @return {Object} the raw morphology, of form { soma, sections }
+   */
+  static _morphologyToRaw(morphology) {
+    const soma = morphology.getSoma()
+    const sections = morphology.getArrayOfSections().map((s) => {
+      const radiuses = s.getRadiuses()
+      return {
+        id: s.getId(),
+        typevalue: s.getTypeValue(),
+        points: s.getPoints().map((position, i) => ({ position, radius: radiuses[i] })),
+        parent: s.getParent() ? s.getParent().getId() : null,
+        children: s.getChildren().map(c => c.getId()),
+      }
+    })
+
+    return {
+      soma: soma ? {
+        radius: soma.getRadius(),
+        points: soma.getPoints().map(position => ({ position })),
+      } : null,
+      sections,
+    }
+  }
+
+
+  /**
+   * @private
+   * Get the names of all the attributes of the rows, in the order they are found
+   * @param {Array} rows - rows, of form { attributes: Object|null }
+   * @return {Array} the names
+   */
+  static _getAttributeNames(rows) {
+    const names = new Set()
+    rows.forEach((r) => {
+      if (r.attributes) {
+        Object.keys(r.attributes).forEach(name => names.add(name))
+      }
+    })
+    return Array.from(names)
+  }
+
+
+  /**
+   * @private
+   * Give new ids to the rows, from 1, in the order they come
+   * @param {Array} rows - rows, of form { id, type, position, radius, parentId }
+   * @return {Array} new rows
+   */
+  static _renumberRows(rows) {
+    const newIds = new Map()
+    rows.forEach((r, i) => newIds.set(r.id, i + 1))
+    return rows.map(r => Object.assign({}, r, {
+      id: newIds.get(r.id),
+      parentId: r.parentId === -1 ? -1 : newIds.get(r.parentId),
+    }))
+  }
+
+
+  /**
+   * @private
+   * @param {Object} raw - a raw morphology
+   * @return {Boolean} true if the points of the raw morphology have their original ids
+   */
+  static _hasPointIds(raw) {
+    const sections = raw.sections || []
+    return sections.length > 0 && sections.every(s => s.points.every(p => 'id' in p))
+  }
+
+
+  /**
+   * @private
+   * @param {Array} a - a position [x, y, z]
+   * @param {Array} b - a position [x, y, z]
+   * @return {Boolean} true if both positions are the same
+   */
+  static _samePosition(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2]
+  }
+}
+
+export default SwcWriter
@@ -26,6 +26,9 @@ class TreeNode {
     this._parent = null
     this._parentId = null
     this._children = []
+    this._lineNumber = null
+    this._attributes = null
+    this._typeRegistry = null
   }
 
   /**
@@ -36,6 +39,14 @@ class TreeNode {
     return this._id
   }
 
+  /**
+   * Set the ID of _this_ node. Should be used only before _this_ node is linked to others.
+   * @param {Number} id - the new id
+   */
+  setId(id) {
+    this._id = id
+  }
+
   /**
    * Get the type as a number (according to the SWC spec)
    * @return {Number}
@@ -45,9 +56,29 @@ class TreeNode {
   }
 
   /**
-   * @return {Boolean} true if this node is a soma, false if not
+   * Set the type of _this_ node
+   * @param {Number} type - the new type
+   */
+  setType(type) {
+    this._type = type
+  }
+
+  /**
+   * Define what the type codes mean, for `isSoma()`
+   * @param {SwcTypeRegistry} typeRegistry - the registry
+   */
+  setTypeRegistry(typeRegistry) {
+    this._typeRegistry = typeRegistry
+  }
+
+  /**
+   * @return {Boolean} true if this node is a soma, false if not. Without type registry,
+   * only the type 1 is a soma.
    */
   isSoma() {
+    if (this._typeRegistry) {
+      return this._typeRegistry.isSoma(this._type)
+    }
     return (this._type === SWC_TYPES.SOMA)
   }
 
@@ -59,6 +90,14 @@ class TreeNode {
     return this._radius
   }
 
+  /**
+   * Set the radius of _this_ node
+   * @param {Number} r - the new radius
+   */
+  setRadius(r) {
+    this._radius = r
+  }
+
   /**
    * Get the 3D coordinates of this node
    */
@@ -66,6 +105,37 @@ class TreeNode {
     return this._position
   }
 
+  /**
+   * Set the attributes of _this_ node, that come from the extra columns of the SWC file
+   * @param {Object} attributes - the values, with the names of the columns as keys
+   */
+  setAttributes(attributes) {
+    this._attributes = attributes
+  }
+
+  /**
+   * Get the attributes of _this_ node, that come from the extra columns of the SWC file
+   * @return {Object|null} the values, with the names of the columns as keys, or null if
+   * the file has no extra column
+   */
+  getAttributes() {
+    return this._attributes
+  }
+
+  /**
+   * Get the euclidean distance between _this_ node and another one
+   * @param {TreeNode} node - another node
+   * @return {Number}
+   */
+  getDistanceTo(node) {
+    const p = node.getPosition()
+    return Math.hypot(
+      this._position[0] - p[0],
+      this._position[1] - p[1],
+      this._position[2] - p[2],
+    )
+  }
+
   /**
    * Define the parent of _this_ node
    * @param {TreeNode} parent - the parent node
@@ -75,6 +145,18 @@ class TreeNode {
     pNode._addChild(this)
   }
 
+  /**
+   * Remove the link between _this_ node and its parent, both ways.
+   * After that, _this_ node is the root of its own tree.
+   */
+  detachFromParent() {
+    if (this._parent) {
+      this._parent._removeChild(this)
+    }
+    this._parent = null
+    this._parentId = null
+  }
+
   /**
    * Get the parent node of _this_ one
    * @return {TreeNode}
@@ -104,6 +186,24 @@ class TreeNode {
   }
 
 
+  /**
+   * Set the line number of the SWC file this node was read from
+   * @param {Number} lineNumber - starting at 1
+   */
+  setLineNumber(lineNumber) {
+    this._lineNumber = lineNumber
+  }
+
+
+  /**
+   * Get the line number of the SWC file this node was read from
+   * @return {Number|null} null if the node does not come from a file
+   */
+  getLineNumber() {
+    return this._lineNumber
+  }
+
+
   /**
    * @private
    * Add a child to _this_ node
@@ -116,6 +216,16 @@ class TreeNode {
   }
 
 
+  /**
+   * @private
+   * Remove a child from _this_ node
+   * @param {TreeNode} cNode - a child of _this_ node
+   */
+  _removeChild(cNode) {
+    this._children = this._children.filter(c => c !== cNode)
+  }
+
+
   /**
    * Get all the chidren
    * @return {Array} array of TreeNode instances
@@ -152,23 +262,29 @@ class TreeNode {
    * - a node has two children or more (forking point)
    * - a point is of another type as the starting one (eg. dendrite becomes axon)
    * What is returned in the end is an array that can be empty (if end of branch)
-   * or with two or more TreeNode instance being the forking direction
+   * or with two or more TreeNode instance being the forking direction.
+   * This walks along the branch with a loop rather than with recursion, so that
+   * sections of any length can be built without overflowing the call stack.
    * @param {Array} nodeList - contains the previous TreeNode (parent, grand parents, etc.)
    * this array is only pushed to, nothing is taken or read from it.
    * @return {Array} of TreeNodes that are forking direction.
    */
   dive(nodeList) {
-    // adding the current node on the list
-    nodeList.push(this)
+    let node = this
+    let children = null
 
-    const children = this.getChildren()
+    for (;;) {
+      // adding the current node on the list
+      nodeList.push(node)
+      children = node.getChildren()
 
-    // this current node is in the middle of a sections, we go on...
-    if (children.length === 1 && children[0].getType() === this._type) {
-      return children[0].dive(nodeList)
+      // this current node is in the middle of a sections, we go on...
+      if (children.length === 1 && children[0].getType() === node.getType()) {
+        [node] = children
+      } else {
+        return children
+      }
     }
-
-    return children
   }
 }
 
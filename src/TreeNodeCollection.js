@@ -1,15 +1,24 @@
 import morphologycorejs from 'morphologycorejs'
 import TreeNode from './TreeNode'
-import SWC_TYPES from './SWCTypes'
+import Diagnostics from './Diagnostics'
+import ISSUE_TYPES from './IssueTypes'
+import SwcParseError from './SwcParseError'
+import buildParseOptions from './ParseOptions'
+import PointTable from './PointTable'
+import PointIndex from './PointIndex'
+import SomaShape from './SomaShape'
+import Validator from './Validator'
+import Repairer from './Repairer'
 
 /**
  * A TreeNodeCollection instance builds all the TreeNode instances from the raw
- * points list from the SWC file. As a second step, it builds the parent/children
+ * points list (or PointTable) from the SWC file. As a second step, it builds the parent/children
  * relations between the nodes and as a third step, define a list of sections.
  */
 class TreeNodeCollection {
   /**
-   * @param {Array} points - every points of the array is itself an Array of form:
+   * @param {Array|PointTable} points - a PointTable or an Array where every point
+   * is itself an Array of form:
    * [
    *     pointId: Number,
    *     pointType: Number,
@@ -17,18 +26,90 @@ class TreeNodeCollection {
    *     y: Number,
    *     z: Number,
    *     radius: Number,
-   *     parentId: Number
+   *     parentId: Number,
+   *     lineNumber: Number (optional)
    *   ]
+   * If null, nothing is built, see `TreeNodeCollection.buildAsync()`.
+   * @param {Object} options - the parse options (see `buildParseOptions`), plus:
+   * @param {Diagnostics} options.diagnostics - the report to add the issues to. If not
+   * provided, a new one is created (default: null)
    */
-  constructor(points) {
+  constructor(points, options = {}) {
+    this._options = buildParseOptions(options)
+    this._diagnostics = options.diagnostics || new Diagnostics()
     this._nodes = {}
+    this._nextFreeId = null
     this._rawSoma = null
+    this._rawSomas = []
+    this._somas = []
+    this._somaIdsByRoot = new Map()
     this._rawSections = null
+    this._somaPointIds = []
+    this._pointIndex = null
     this._rawMorphology = null
     this._morphology = null
-    this._initCollection(points)
-    this._buildSections()
-    this._buildMorphologyObjects()
+
+    // what the stages of the building share, only while building
+    this._building = null
+
+    if (points) {
+      const length = this._startNodes(points)
+      this._createNodes(0, length)
+      this._linkNodes(0, this._startLinking())
+      this._endLinking()
+      this._startSections()
+      this._buildSections(Infinity)
+      this._buildMorphologyObjects()
+    }
+  }
+
+  /**
+   * Build a collection like the constructor does, but by batches: the nodes are created
+   * and linked by batches of points and the sections are built by batches of points too
+   * (a section is never split). After each batch, `progress` is called and awaited, so
+   * that the caller can give the control back to the event loop or stop the building by
+   * throwing.
+   * @param {Array|PointTable} points - the points, see the constructor
+   * @param {Object} options - the options, see the constructor
+   * @param {Object} params - how to split the work
+   * @param {Function} params.progress - (stage: String, fraction: Number) => Promise,
+   * where stage is 'linking' or 'building' and fraction is the part of this stage that is
+   * done, between 0 and 1 (default: null)
+   * @param {Number} params.batchSize - number of points in a batch (default: 20000)
+   * @return {Promise} resolves with the TreeNodeCollection
+   */
+  static async buildAsync(points, options = {}, { progress = null, batchSize = 20000 } = {}) {
+    const collection = new TreeNodeCollection(null, options)
+    const report = (stage, fraction) => (progress ? progress(stage, fraction) : null)
+
+    // creating the nodes is the first half of the linking, setting their parent the second
+    const length = collection._startNodes(points)
+    for (let start = 0; start < length; start += batchSize) {
+      const end = Math.min(length, start + batchSize)
+      collection._createNodes(start, end)
+      // eslint-disable-next-line no-await-in-loop
+      await report('linking', end / length / 2)
+    }
+
+    const nodeCount = collection._startLinking()
+    for (let start = 0; start < nodeCount; start += batchSize) {
+      const end = Math.min(nodeCount, start + batchSize)
+      collection._linkNodes(start, end)
+      // eslint-disable-next-line no-await-in-loop
+      await report('linking', 0.5 + end / nodeCount / 2)
+    }
+    collection._endLinking()
+    await report('linking', 1)
+
+    collection._startSections()
+    while (!collection._buildSections(batchSize)) {
+      // eslint-disable-next-line no-await-in-loop
+      await report('building', collection._building.pointsDone / nodeCount)
+    }
+    collection._buildMorphologyObjects()
+    await report('building', 1)
+
+    return collection
   }
 
   /**
@@ -49,92 +130,778 @@ class TreeNodeCollection {
     return this._morphology
   }
 
+  /**
+   * Get all the nodes of _this_ collection
+   * @return {Array} array of TreeNode instances
+   */
+  getNodes() {
+    return Object.values(this._nodes)
+  }
+
+  /**
+   * Get a node
+   * @param {Number} id - id of the node
+   * @return {TreeNode} null if there is no such node
+   */
+  getNode(id) {
+    return this._nodes[id] || null
+  }
+
+  /**
+   * Run validation rules over the nodes of _this_ collection
+   * @param {Validator} validator - the rules to run (default: a Validator with the
+   * default rules)
+   * @return {Diagnostics} a new report with the findings of the rules
+   */
+  validate(validator = new Validator()) {
+    return validator.validate(this)
+  }
+
+  /**
+   * Fix what can be fixed in a copy of _this_ collection, that is not changed
+   * @param {Repairer} repairer - the passes to run (default: a Repairer with the
+   * default passes)
+   * @return {Object} of form { collection: TreeNodeCollection, log: Diagnostics }, the
+   * repaired collection and the log of all the changes
+   */
+  repair(repairer = new Repairer()) {
+    return repairer.repair(this)
+  }
+
+  /**
+   * Get the nodes that have no parent, that is the first node of every tree
+   * @return {Array} array of TreeNode instances
+   */
+  getRoots() {
+    return Object.values(this._nodes).filter(n => n.getParent() === null)
+  }
+
+  /**
+   * Get the box that contains the positions of all the nodes
+   * @return {Object} of form { min: [x, y, z], max: [x, y, z] }, or null if there is no node
+   */
+  getBoundingBox() {
+    const nodes = Object.values(this._nodes)
+    if (!nodes.length) {
+      return null
+    }
+
+    const min = [Infinity, Infinity, Infinity]
+    const max = [-Infinity, -Infinity, -Infinity]
+    nodes.forEach((n) => {
+      const position = n.getPosition()
+      for (let axis = 0; axis < 3; axis += 1) {
+        min[axis] = Math.min(min[axis], position[axis])
+        max[axis] = Math.max(max[axis], position[axis])
+      }
+    })
+
+    return { min, max }
+  }
+
+  /**
+   * Get the nodes where an axon starts. An axon origin is an axon node that has
+   * no parent or whose parent is not an axon node. The axon nodes are the ones whose
+   * type is in the axon category of the type registry.
+   * @return {Array} array of TreeNode instances, in the order of the file (or of their
+   * id for the nodes without line number), empty if there is no axon
+   */
+  getAxonOrigins() {
+    const { typeRegistry } = this._options
+    return Object.values(this._nodes).filter((n) => {
+      if (!typeRegistry.isAxon(n.getType())) {
+        return false
+      }
+      const parent = n.getParent()
+      return !parent || !typeRegistry.isAxon(parent.getType())
+    }).sort((a, b) => (a.getLineNumber() || 0) - (b.getLineNumber() || 0))
+  }
+
+  /**
+   * Get the geometry of the soma: its convention, center, effective radius, surface
+   * area and volume. If there are several somas, this is the first one.
+   * @return {SomaShape} null if there is no soma point
+   */
+  getSoma() {
+    return this._somas.length ? this._somas[0] : null
+  }
+
+  /**
+   * Get all the somas. A soma is a group of connected soma points that is the root of
+   * a tree, so a file with several cells has several somas. The index of a soma in this
+   * list is its id, as in the `somaId` of the raw sections and the `id` of the raw somas.
+   * @return {Array} array of SomaShape instances, in the order of the file
+   */
+  getSomas() {
+    return this._somas.slice()
+  }
+
+  /**
+   * Get the id of the soma a point is connected to
+   * @param {Number} pointId - id of the point
+   * @return {Number} the id of the soma (its index in `getSomas()`), or null if the point
+   * does not exist or its tree has no soma
+   */
+  getSomaIdOf(pointId) {
+    let node = this._nodes[pointId]
+    if (!node) {
+      return null
+    }
+
+    while (node.getParent()) {
+      node = node.getParent()
+    }
+
+    return this._somaIdsByRoot.has(node) ? this._somaIdsByRoot.get(node) : null
+  }
+
+  /**
+   * Split _this_ collection into one collection per cell, that is per soma with all the
+   * nodes of its tree. The nodes of the trees without soma are left out.
+   * Every new collection is built with the same options and has its own diagnostics.
+   * @return {Array} array of TreeNodeCollection instances, in the order of `getSomas()`
+   */
+  splitCells() {
+    return this._somas.map((soma) => {
+      let root = this._nodes[soma.getPointIds()[0]]
+      while (root.getParent()) {
+        root = root.getParent()
+      }
+      return this._buildSubCollection(root)
+    })
+  }
+
+  /**
+   * Split _this_ collection into one collection per tree, that is per connected
+   * component of the nodes, with or without soma. Every new collection is built with
+   * the same options and has its own diagnostics.
+   * @return {Array} array of TreeNodeCollection instances, in the order of `getRoots()`
+   */
+  splitTrees() {
+    return this.getRoots().map(root => this._buildSubCollection(root))
+  }
+
+  /**
+   * Get the index between the ids of the points and their location in the sections
+   * @return {PointIndex} null if the sections are not built yet
+   */
+  getPointIndex() {
+    return this._pointIndex
+  }
+
+  /**
+   * Get the report of all the issues found while building _this_ collection
+   * @return {Diagnostics}
+   */
+  getDiagnostics() {
+    return this._diagnostics
+  }
+
   /**
    * @private
-   * Makes the list of nodes
+   * Get ready to create the nodes: the first stage of the building
+   * @param {Array|PointTable} points - the points
+   * @return {Number} the number of points
    */
-  _initCollection(points) {
-    const somaNodes = []
+  _startNodes(points) {
+    const table = points instanceof PointTable ? points : PointTable.fromPoints(points)
+    const extraNames = table.getExtraColumnNames()
+
+    this._building = {
+      table,
+      columns: table.getColumns(),
+      extraNames,
+      extraColumns: extraNames.map(name => table.getColumn(name)),
+      somaNodes: [],
+      // When the option onDuplicateId is 'renumber', this keeps all the nodes
+      // declared with a given id, in the order of the file, but only for the ids
+      // that are used more than once
+      duplicates: {},
+      nodes: null,
+      stack: null,
+      sections: null,
+      sectionPointIds: null,
+      pointsDone: 0,
+    }
 
-    for (let i = 0; i < points.length; i += 1) {
-      const aNode = new TreeNode(
-        points[i][0], // id
-        points[i][1], // type
-        points[i][2], // x
-        points[i][3], // y
-        points[i][4], // z
-        points[i][5], // radius
-      )
+    return table.getLength()
+  }
 
-      this._nodes[points[i][0]] = aNode
+  /**
+   * @private
+   * Makes the nodes of some points and add them to the list of nodes
+   * @param {Number} start - index of the first point
+   * @param {Number} end - index after the last point
+   */
+  _createNodes(start, end) {
+    const { columns, extraNames, extraColumns } = this._building
+    const {
+      ids,
+      types,
+      x,
+      y,
+      z,
+      radii,
+      parentIds,
+      lines,
+    } = columns
+
+    for (let i = start; i < end; i += 1) {
+      const aNode = new TreeNode(ids[i], types[i], x[i], y[i], z[i], radii[i])
+      aNode.setTypeRegistry(this._options.typeRegistry)
+
+      // a line number of 0 means it is unknown
+      if (lines[i]) {
+        aNode.setLineNumber(lines[i])
+      }
 
-      // The soma nodes: in addition to put them in the regular collection,
-      // we also put them in a small collection we keep on the side
-      if (points[i][1] === SWC_TYPES.SOMA) {
-        somaNodes.push(aNode)
+      if (extraNames.length) {
+        const attributes = {}
+        for (let e = 0; e < extraNames.length; e += 1) {
+          attributes[extraNames[e]] = extraColumns[e][i]
+        }
+        aNode.setAttributes(attributes)
       }
 
       // In the SWC, a node/point seems to be always described after its parent,
       // so we can makes the parent/children links in the same loop
-      const parentId = points[i][6]
+      const parentId = parentIds[i]
+
+      // the first point of the soma has no parent.
+      // For the others, just setting the parent id because the parent object might be
+      // declared later on the list and thus not exist yet as an object.
+      if (parentId !== -1) {
+        aNode.setParentId(parentId)
+      }
+
+      const id = aNode.getId()
+      const previousNode = this._nodes[id]
+
+      if (previousNode) {
+        this._handleDuplicateId(previousNode, aNode, ids)
 
-      // the first point of the soma has no parent
-      if (parentId === -1) {
         // eslint-disable-next-line no-continue
-        continue
+        if (this._options.onDuplicateId === 'keep-first') continue
+
+        if (this._options.onDuplicateId === 'keep-last') {
+          this._building.somaNodes = this._building.somaNodes.filter(n => n !== previousNode)
+        } else if (this._options.onDuplicateId === 'renumber') {
+          const { duplicates } = this._building
+          duplicates[id] = duplicates[id] || [previousNode]
+          duplicates[id].push(aNode)
+        }
       }
 
-      // just setting the parent id because the parent object might be declared later on the list
-      // and thus not exist yet as an object.
-      aNode.setParentId(parentId)
+      this._nodes[aNode.getId()] = aNode
+
+      // The soma nodes: in addition to put them in the regular collection,
+      // we also put them in a small collection we keep on the side
+      if (aNode.isSoma()) {
+        this._building.somaNodes.push(aNode)
+      }
     }
+  }
 
-    // setting the parent node object happens in a second pass to ensure all the node are
-    // created before any node association is done.
-    Object.values(this._nodes).forEach((n) => {
+  /**
+   * @private
+   * Get ready to set the parent node objects. This happens once all the nodes are created
+   * to ensure all the node are created before any node association is done.
+   * @return {Number} the number of nodes
+   */
+  _startLinking() {
+    this._building.nodes = Object.values(this._nodes)
+    return this._building.nodes.length
+  }
+
+  /**
+   * @private
+   * Set the parent node object of some nodes
+   * @param {Number} start - index of the first node
+   * @param {Number} end - index after the last node
+   */
+  _linkNodes(start, end) {
+    const { nodes, duplicates } = this._building
+
+    for (let i = start; i < end; i += 1) {
+      const n = nodes[i]
       const parentId = n.getParentId()
 
-      if (parentId === null) {
+      // eslint-disable-next-line no-continue
+      if (parentId === null) continue
+
+      // the parent id was used more than once and renumbered
+      if (parentId in duplicates) {
+        n.setParentId(TreeNodeCollection._pickDeclaration(duplicates[parentId], n).getId())
+        n.setParent(this._nodes[n.getParentId()])
+      } else if (!(parentId in this._nodes)) {
+        this._handleMissingParent(n)
+      } else {
+        n.setParent(this._nodes[parentId])
+      }
+    }
+  }
+
+  /**
+   * @private
+   * Once all the nodes are linked: deal with the loops, validate the nodes and build
+   * the somas
+   */
+  _endLinking() {
+    const { somaNodes } = this._building
+
+    // a loop in the parent links would prevent the sections from being built
+    this._findCycles().forEach(cycle => this._handleCycle(cycle))
+
+    // the nodes are linked, this is the time to check them, before the sections are built
+    if (this._options.validate) {
+      this._options.validate.validate(this, this._diagnostics)
+    }
+
+    // build the somas if we have some soma points
+    this._findSomaComponents(somaNodes).forEach((nodes, somaId) => {
+      const soma = new SomaShape(nodes, this._pickSomaConvention(nodes))
+      this._somas.push(soma)
+      this._somaIdsByRoot.set(nodes[0], somaId)
+      // the points keep their own radius, the radius of the soma is its effective radius
+      this._rawSomas.push(Object.assign({
+        id: somaId, // the first one is 0, to have the same format as the NeuroM converter
+        type: 'soma',
+      }, soma.toJSON(), {
+        points: nodes.map(n => TreeNodeCollection._nodeToRawPoint(n, this._options.lossless)),
+      }))
+    })
+
+    if (this._somas.length) {
+      [this._rawSoma] = this._rawSomas
+      this._somaPointIds = this._somas[0].getPointIds()
+    }
+
+    if (this._somas.length > 1) {
+      this._diagnostics.warning(
+        ISSUE_TYPES.MULTIPLE_SOMAS,
+        `There are ${this._somas.length} somas that are not connected to each other. The soma of the morphology is the first one, see getSomas() and splitCells() for the others.`,
+        { pointIds: this._somas.map(s => s.getPointIds()[0]) },
+      )
+    }
+  }
+
+  /**
+   * @private
+   * Group the soma nodes that are connected to each other. A group whose first node has
+   * no parent is a soma. A group whose first node has a parent is inside a neurite: it is
+   * reported, not used as a soma and its nodes get the type of the neurite, so that they
+   * are part of its sections.
+   * @param {Array} somaNodes - all the soma nodes, in the order of the file
+   * @return {Array} the somas, each being the Array of its nodes, starting with the one
+   * without parent
+   */
+  _findSomaComponents(somaNodes) {
+    const tops = new Map()
+    const components = new Map()
+
+    somaNodes.forEach((n) => {
+      // going up the soma parents until a node whose top is already known
+      const path = []
+      let node = n
+      while (!tops.has(node) && node.getParent() && node.getParent().isSoma()) {
+        path.push(node)
+        node = node.getParent()
+      }
+
+      const top = tops.has(node) ? tops.get(node) : node
+      tops.set(node, top)
+      path.forEach(p => tops.set(p, top))
+
+      if (!components.has(top)) {
+        components.set(top, [])
+      }
+      components.get(top).push(n)
+    })
+
+    const somas = []
+    components.forEach((nodes, top) => {
+      // the top node comes first, even if it was declared after some of its children
+      const ordered = [top].concat(nodes.filter(n => n !== top))
+
+      if (!top.getParent()) {
+        somas.push(ordered)
         return
       }
 
-      n.setParent(this._nodes[parentId])
+      const ids = ordered.map(n => n.getId())
+      const neuriteType = top.getParent().getType()
+      this._diagnostics.warning(
+        ISSUE_TYPES.SOMA_IN_NEURITE,
+        `The soma point(s) ${ids.join(', ')} are inside a neurite, after the point ${top.getParentId()}. They are not used as a soma and get the type ${neuriteType} of the neurite.`,
+        {
+          line: top.getLineNumber(),
+          pointId: ids[0],
+          pointIds: ids,
+        },
+      )
+      ordered.forEach(n => n.setType(neuriteType))
     })
 
-    // build the soma if we have some soma points
-    if (somaNodes.length) {
-      this._rawSoma = {
-        id: 0, // just to have the same format as the NeuroM converter
-        type: 'soma',
-        // the radius are usually all the same, but just in case, we take the largest one
-        radius: Math.max(...somaNodes.map(n => n.getRadius())),
-        points: somaNodes.map(n => ({ position: n.getPosition() })),
+    return somas
+  }
+
+  /**
+   * @private
+   * Build a new collection with a tree of _this_ one
+   * @param {TreeNode} root - the root of the tree
+   * @return {TreeNodeCollection}
+   */
+  _buildSubCollection(root) {
+    const nodes = []
+    const stack = [root]
+
+    while (stack.length) {
+      const node = stack.pop()
+      nodes.push(node)
+
+      const children = node.getChildren()
+      for (let i = children.length - 1; i >= 0; i -= 1) {
+        stack.push(children[i])
+      }
+    }
+
+    return this._buildCollectionFrom(nodes)
+  }
+
+  /**
+   * @private
+   * Build a new collection from some nodes, as they are now (their parent is the one
+   * they are linked to, not the one of the file). The nodes are not shared.
+   * @param {Array} nodes - the nodes, as TreeNode instances. Their parents must be
+   * among them, or else they become roots.
+   * @param {Object} options - options that replace the ones of _this_ collection
+   * (default: {})
+   * @return {TreeNodeCollection}
+   */
+  _buildCollectionFrom(nodes, options = {}) {
+    const first = nodes.find(n => n.getAttributes())
+    const extraNames = first ? Object.keys(first.getAttributes()) : []
+    const ids = new Set(nodes.map(n => n.getId()))
+
+    const points = nodes.map((node) => {
+      const parent = node.getParent()
+      const attributes = node.getAttributes()
+      return [
+        node.getId(),
+        node.getType(),
+        ...node.getPosition(),
+        node.getRadius(),
+        parent && ids.has(parent.getId()) ? parent.getId() : -1,
+        node.getLineNumber(),
+        attributes ? extraNames.map(name => attributes[name]) : undefined,
+      ]
+    })
+
+    const table = PointTable.fromPoints(points, { floatPrecision: this._options.floatPrecision })
+    table.setExtraColumnNames(extraNames)
+    const collectionOptions = Object.assign({}, this._options, { diagnostics: null }, options)
+    return new TreeNodeCollection(table, collectionOptions)
+  }
+
+  /**
+   * @private
+   * Remove a node from _this_ collection. Its children are linked to its parent, or
+   * become roots if it has none. This is for the repair passes, that work on a copy:
+   * the sections, somas and morphology are not updated.
+   * @param {TreeNode} node - the node to remove
+   */
+  _removeNode(node) {
+    const parent = node.getParent()
+
+    node.getChildren().slice().forEach((child) => {
+      child.detachFromParent()
+      if (parent) {
+        child.setParentId(parent.getId())
+        child.setParent(parent)
+      }
+    })
+
+    node.detachFromParent()
+    delete this._nodes[node.getId()]
+  }
+
+  /**
+   * @private
+   * Get the convention to build the soma with: the one of the option `somaConvention`
+   * if the soma points fit it, or else the one detected. The convention is reported.
+   * @param {Array} somaNodes - the soma nodes
+   * @return {String} the convention
+   */
+  _pickSomaConvention(somaNodes) {
+    const wanted = this._options.somaConvention
+    const detected = SomaShape.detectConvention(somaNodes)
+    const location = {
+      line: somaNodes[0].getLineNumber(),
+      pointIds: somaNodes.map(n => n.getId()),
+    }
+
+    if (wanted === 'auto' || wanted === detected) {
+      this._diagnostics.info(ISSUE_TYPES.SOMA_CONVENTION, `The soma is described with the ${detected} convention.`, location)
+      return detected
+    }
+
+    if (SomaShape.fits(somaNodes, wanted)) {
+      this._diagnostics.info(ISSUE_TYPES.SOMA_CONVENTION, `The soma is described with the ${wanted} convention (detected: ${detected}).`, location)
+      return wanted
+    }
+
+    this._diagnostics.warning(
+      ISSUE_TYPES.SOMA_CONVENTION,
+      `The ${somaNodes.length} soma point(s) do not fit the ${wanted} convention, the ${detected} convention is used instead.`,
+      location,
+    )
+    return detected
+  }
+
+  /**
+   * @private
+   * Deal with a node that has the same id as a node declared earlier in the file,
+   * according to the option `onDuplicateId`:
+   * - 'error': throw a SwcParseError
+   * - 'keep-first': report it, the new node is to be ignored
+   * - 'keep-last': report it, the new node is to replace the previous one
+   * - 'renumber': report it and give a new unused id to the new node
+   * @param {TreeNode} previousNode - the node declared first
+   * @param {TreeNode} node - the node declared later with the same id
+   * @param {Int32Array} ids - the ids of all the points, to find an unused one
+   */
+  _handleDuplicateId(previousNode, node, ids) {
+    const id = node.getId()
+    const lines = [previousNode.getLineNumber(), node.getLineNumber()]
+    const where = lines.includes(null) ? '' : ` (lines ${lines[0]} and ${lines[1]})`
+    const message = `The id ${id} is used more than once${where}.`
+    const location = {
+      line: node.getLineNumber(),
+      lines,
+      pointId: id,
+    }
+
+    switch (this._options.onDuplicateId) {
+      case 'keep-first':
+        this._diagnostics.warning(ISSUE_TYPES.DUPLICATE_ID, `${message} The last one is ignored.`, location)
+        break
+
+      case 'keep-last':
+        this._diagnostics.warning(ISSUE_TYPES.DUPLICATE_ID, `${message} The last one replaces the previous one.`, location)
+        break
+
+      case 'renumber':
+        if (this._nextFreeId === null) {
+          this._nextFreeId = ids.reduce((max, value) => Math.max(max, value), 0) + 1
+        }
+        node.setId(this._nextFreeId)
+        this._nextFreeId += 1
+        this._diagnostics.warning(ISSUE_TYPES.DUPLICATE_ID, `${message} The last one is renumbered ${node.getId()}.`, location)
+        break
+
+      default:
+        throw new SwcParseError(message, Object.assign({
+          type: ISSUE_TYPES.DUPLICATE_ID,
+          column: 1,
+        }, location))
+    }
+  }
+
+  /**
+   * @private
+   * Among several nodes that were declared with the same id, find the one a child
+   * refers to. Since parents are usually declared before their children, this is the
+   * last one declared before the child, or the first one if the child comes before all.
+   * @param {Array} declarations - the nodes declared with the same id, in the order of the file
+   * @param {TreeNode} child - the node that refers to this id as its parent
+   * @return {TreeNode}
+   */
+  static _pickDeclaration(declarations, child) {
+    let picked = declarations[0]
+    for (let i = 1; i < declarations.length; i += 1) {
+      if (declarations[i].getLineNumber() < child.getLineNumber()) {
+        picked = declarations[i]
+      }
+    }
+    return picked
+  }
+
+  /**
+   * @private
+   * Deal with a node that refers to a parent id that does not exist, according
+   * to the option `onMissingParent`: either throw a SwcParseError or report it and
+   * make this node the root of a new tree.
+   * @param {TreeNode} node - the node with a dangling parent id
+   */
+  _handleMissingParent(node) {
+    const message = `The point ${node.getId()} refers to the parent ${node.getParentId()}, that does not exist.`
+    const location = {
+      line: node.getLineNumber(),
+      pointId: node.getId(),
+    }
+
+    if (this._options.onMissingParent === 'error') {
+      throw new SwcParseError(message, Object.assign({
+        type: ISSUE_TYPES.MISSING_PARENT,
+        column: 7,
+      }, location))
+    }
+
+    this._diagnostics.warning(
+      ISSUE_TYPES.MISSING_PARENT,
+      `${message} It is used as the root of a new tree.`,
+      location,
+    )
+    node.setParentId(null)
+  }
+
+  /**
+   * @private
+   * Find all the loops in the parent/child links (eg. A -> B -> C -> A).
+   * This goes up the parents from every node, without recursion, and remembers which
+   * nodes were already visited so that every node is walked through only once.
+   * @return {Array} an array of cycles, each cycle being an array of TreeNode, from child
+   * to parent
+   */
+  _findCycles() {
+    const NOT_VISITED = 0
+    const IN_PATH = 1
+    const DONE = 2
+    const state = new Map()
+    const cycles = []
+
+    Object.values(this._nodes).forEach((startNode) => {
+      const path = []
+      let node = startNode
+
+      while (node && (state.get(node) || NOT_VISITED) === NOT_VISITED) {
+        state.set(node, IN_PATH)
+        path.push(node)
+        node = node.getParent()
+      }
+
+      // we came back on a node of the current path: this is a loop
+      if (node && state.get(node) === IN_PATH) {
+        cycles.push(path.slice(path.indexOf(node)))
       }
+
+      path.forEach(n => state.set(n, DONE))
+    })
+
+    return cycles
+  }
+
+  /**
+   * @private
+   * Deal with a loop in the parent links, according to the option `onCycle`: either
+   * throw a SwcParseError or report it and remove the link that makes the longest
+   * jump in space, so that the child node of this link becomes a root.
+   * @param {Array} cycle - the nodes of the loop, from child to parent
+   */
+  _handleCycle(cycle) {
+    const ids = cycle.map(n => n.getId())
+    const message = `The points ${ids.join(' -> ')} -> ${ids[0]} form a loop.`
+    const location = {
+      line: cycle[0].getLineNumber(),
+      pointId: ids[0],
+      pointIds: ids,
+    }
+
+    if (this._options.onCycle === 'error') {
+      throw new SwcParseError(message, Object.assign({
+        type: ISSUE_TYPES.CYCLE,
+        column: 7,
+      }, location))
     }
+
+    // finding the longest child -> parent link
+    let longestNode = cycle[0]
+    let longestDistance = -1
+    cycle.forEach((n) => {
+      const distance = n.getDistanceTo(n.getParent())
+
+      if (distance > longestDistance) {
+        longestDistance = distance
+        longestNode = n
+      }
+    })
+
+    this._diagnostics.warning(
+      ISSUE_TYPES.CYCLE,
+      `${message} The link between ${longestNode.getId()} and its parent ${longestNode.getParentId()} is removed.`,
+      Object.assign({}, location, {
+        line: longestNode.getLineNumber(),
+        pointId: longestNode.getId(),
+      }),
+    )
+    longestNode.detachFromParent()
   }
 
   /**
    * @private
-   * Reconstruct all the section from the nodes, give them IDs and establish the
-   * parent/children relationship
+   * Build the point of a raw section from a node
+   * @param {TreeNode} node - the node
+   * @param {Boolean} lossless - if true, the original SWC id, type and line number
+   * of the node are kept
+   * @return {Object} of form { position: Array, radius: Number }, plus the `attributes`
+   * Object if the node has some and, if lossless, { id: Number, type: Number, line: Number|null }
    */
-  _buildSections() {
-    let currentSectionId = 0
-    const sections = []
+  static _nodeToRawPoint(node, lossless) {
+    const point = {
+      position: node.getPosition(),
+      radius: node.getRadius(),
+    }
+
+    if (node.getAttributes()) {
+      point.attributes = node.getAttributes()
+    }
+
+    if (lossless) {
+      point.id = node.getId()
+      point.type = node.getType()
+      point.line = node.getLineNumber()
+    }
 
+    return point
+  }
+
+  /**
+   * @private
+   * Get ready to reconstruct the sections from the nodes: every orphan node is the
+   * starting point of a section
+   */
+  _startSections() {
     // adding all the the orphan nodes as starting points of sections
     // (there should be only one, but we know things can go wrong)
-    const starterNodes = Object.values(this._nodes).filter(n => n.getParent() === null)
-    const stack = []
+    this._building.stack = this.getRoots().map(n => ({
+      node: n,
+      parentSectionId: null,
+      somaId: this._somaIdsByRoot.has(n) ? this._somaIdsByRoot.get(n) : null,
+    }))
+    this._building.sections = []
+    this._building.sectionPointIds = []
+    this._building.pointsDone = 0
+  }
 
-    starterNodes.forEach((n) => {
-      stack.push({
-        node: n,
-        parentSectionId: null,
-      })
-    })
+  /**
+   * @private
+   * Reconstruct some of the sections from the nodes, give them IDs and establish the
+   * parent/children relationship. This can be called again until all the sections are
+   * built.
+   * @param {Number} maxPoints - the sections are built until this number of points is
+   * reached, a section is never split
+   * @return {Boolean} true if all the sections are built
+   */
+  _buildSections(maxPoints) {
+    const { lossless, typeRegistry } = this._options
+    const { stack, sections, sectionPointIds } = this._building
+    let pointsDone = 0
+
+    // popping the stack
+    while (stack.length && pointsDone < maxPoints) {
+      const { node: startingNode, parentSectionId, somaId } = stack.pop()
+      const sectionId = sections.length
 
-    function buildRawSection(startingNode, parentSectionId) {
       // the nodeList is the list of node for the section we are building.
       // Let's say it's just a simpler version of the future section object
       const nodeList = []
@@ -146,55 +913,49 @@ class TreeNodeCollection {
       }
 
       const nextNodes = startingNode.dive(nodeList)
+      pointsDone += startingNode.getParent() ? nodeList.length - 1 : nodeList.length
 
-      const points = nodeList.map(n => ({
-        position: n.getPosition(),
-        radius: n.getRadius(),
-      }))
-
-      // if the first point is a soma point, we dont keep the first radius
-      // because it's the radius of the soma
-      // if (parentSectionId === null && points.length) {
-      //   points[0].radius = 0
-      // }
+      const points = nodeList.map(n => TreeNodeCollection._nodeToRawPoint(n, lossless))
+      sectionPointIds[sectionId] = nodeList.map(n => n.getId())
 
       // now nodeList is full of nodes
-      const section = {
+      sections.push({
         typevalue: startingNode.getType(),
+        typename: typeRegistry.getName(startingNode.getType()),
         points,
-        id: currentSectionId,
+        id: sectionId,
         children: [],
         parent: parentSectionId,
-      }
+        somaId,
+      })
 
       // adding this section as a child of its parent
       if (parentSectionId !== null) {
-        sections[parentSectionId].children.push(currentSectionId)
+        sections[parentSectionId].children.push(sectionId)
       }
 
       // adding the next nodes as new section starting points
       for (let i = 0; i < nextNodes.length; i += 1) {
         stack.push({
           node: nextNodes[i],
-          parentSectionId: currentSectionId,
+          parentSectionId: sectionId,
+          somaId,
         })
       }
-
-      currentSectionId += 1
-      return section
     }
 
-    // popping the stack
-    while (stack.length) {
-      const stackElem = stack.pop()
-      const section = buildRawSection(stackElem.node, stackElem.parentSectionId)
-      sections.push(section)
-      sections[section.id] = section
+    this._building.pointsDone += pointsDone
+    if (stack.length) {
+      return false
     }
 
     if (sections.length) {
       this._rawSections = sections
     }
+
+    this._pointIndex = new PointIndex(sectionPointIds, this._somaPointIds)
+    this._building = null
+    return true
   }
 
   /**
@@ -202,29 +963,34 @@ class TreeNodeCollection {
    * Performs some verification and then assemble the raw morphology
    */
   _buildMorphologyObjects() {
+    // but it's not ok to have nothing at all
+    if (!this._rawSections && !this._rawSoma) {
+      this._diagnostics.error(ISSUE_TYPES.NO_DATA, 'No valid morphology data.')
+      return
+    }
+
     // it's ok to not have any section
     if (!this._rawSections) {
-      console.warn('This morphology has no section to export')
+      this._diagnostics.warning(ISSUE_TYPES.NO_SECTION, 'This morphology has no section to export')
     }
 
     // it's ok to not have a soma
     if (!this._rawSoma) {
-      console.warn('This morphology has no soma to show')
-    }
-
-    // but it's not ok to have nothing at all
-    if (!this._rawSections && !this._rawSoma) {
-      console.warn('No valid morphology data.')
-      return
+      this._diagnostics.warning(ISSUE_TYPES.NO_SOMA, 'This morphology has no soma to show')
     }
 
     this._rawMorphology = {
       soma: this._rawSoma,
+      somas: this._rawSomas,
       sections: this._rawSections,
     }
 
+    // morphologycorejs needs a list of sections, even if empty
     this._morphology = new morphologycorejs.Morphology()
-    this._morphology.buildFromRawMorphology(this._rawMorphology)
+    this._morphology.buildFromRawMorphology({
+      soma: this._rawSoma,
+      sections: this._rawSections || [],
+    })
   }
 }
 
@@ -0,0 +1,137 @@
+import ISSUE_TYPES from './IssueTypes'
+
+/*
+ * The rules a Validator runs by default, inspired by the checks of NeuroMorpho.Org.
+ * A rule is an Object of form:
+ *   {
+ *     name: String, // the type of the issues it reports (see IssueTypes for these ones)
+ *     severity: String, // 'error', 'warning' or 'info' (default: 'warning')
+ *     description: String, // what the rule checks
+ *     check: Function, // (collection: TreeNodeCollection, params: Object) => Array of
+ *                      // findings, of form { message: String, pointIds: Array }
+ *   }
+ * The params are the ones of the Validator: `maxSegmentLength` and `maxChildren` for
+ * these rules, plus any param a custom rule needs.
+ */
+
+/**
+ * @private
+ * Build the findings of a rule that looks at every node and its parent
+ * @param {TreeNodeCollection} collection - the nodes to check
+ * @param {Function} test - (node: TreeNode, parent: TreeNode) => String, the message of the
+ * finding or null if the node is fine. Only called for the nodes that have a parent.
+ * @return {Array} the findings
+ */
+function checkLinks(collection, test) {
+  const findings = []
+  collection.getNodes().forEach((n) => {
+    const parent = n.getParent()
+    const message = parent ? test(n, parent) : null
+    if (message) {
+      findings.push({ message, pointIds: [n.getId(), parent.getId()] })
+    }
+  })
+  return findings
+}
+
+export default [
+  {
+    name: ISSUE_TYPES.PARENT_ID_LARGER,
+    description: 'the id of the parent is larger than the id of the child',
+    check: collection => checkLinks(collection, (n, parent) => (parent.getId() > n.getId()
+      ? `The point ${n.getId()} has a parent with a larger id (${parent.getId()}).`
+      : null)),
+  },
+
+  {
+    name: ISSUE_TYPES.NON_POSITIVE_RADIUS,
+    description: 'the radius is zero, negative or not a number',
+    check: collection => collection.getNodes()
+      .filter(n => !(n.getRadius() > 0))
+      .map(n => ({
+        message: `The point ${n.getId()} has a radius of ${n.getRadius()}.`,
+        pointIds: [n.getId()],
+      })),
+  },
+
+  {
+    name: ISSUE_TYPES.DUPLICATE_POSITION,
+    description: 'a point is at the same position as its parent',
+    check: collection => checkLinks(collection, (n, parent) => (n.getDistanceTo(parent) === 0
+      ? `The point ${n.getId()} is at the same position as its parent ${parent.getId()}.`
+      : null)),
+  },
+
+  {
+    name: ISSUE_TYPES.LONG_SEGMENT,
+    description: 'a point is further than `maxSegmentLength` from its parent',
+    check: (collection, { maxSegmentLength }) => checkLinks(collection, (n, parent) => {
+      const length = n.getDistanceTo(parent)
+      return length > maxSegmentLength
+        ? `The segment from ${parent.getId()} to ${n.getId()} is ${length} long (more than ${maxSegmentLength}).`
+        : null
+    }),
+  },
+
+  {
+    name: ISSUE_TYPES.TYPE_CHANGE,
+    description: 'the type changes in the middle of a branch, where the parent is neither a soma point nor a branching point',
+    check: collection => checkLinks(collection, (n, parent) => {
+      const midBranch = !parent.isSoma() && parent.getChildren().length === 1
+      return midBranch && n.getType() !== parent.getType()
+        ? `The type changes from ${parent.getType()} to ${n.getType()} between ${parent.getId()} and ${n.getId()}, in the middle of a branch.`
+        : null
+    }),
+  },
+
+  {
+    name: ISSUE_TYPES.SOMA_NOT_ROOT,
+    description: 'a tree has soma points but does not start with one',
+    // once parsed, these soma points have the type of their neurite (see SOMA_IN_NEURITE
+    // in TreeNodeCollection), so they are only found with the parse option `validate`
+    check: (collection) => {
+      const findings = []
+      collection.getRoots().filter(root => !root.isSoma()).forEach((root) => {
+        const somaIds = []
+        const stack = [root]
+        while (stack.length) {
+          const node = stack.pop()
+          if (node.isSoma()) {
+            somaIds.push(node.getId())
+          }
+          stack.push(...node.getChildren())
+        }
+
+        if (somaIds.length) {
+          findings.push({
+            message: `The tree that starts with the point ${root.getId()} has soma points (${somaIds.join(', ')}) but its root is not a soma point.`,
+            pointIds: [root.getId(), ...somaIds],
+          })
+        }
+      })
+      return findings
+    },
+  },
+
+  {
+    name: ISSUE_TYPES.TRIFURCATION,
+    description: 'a point that is not a soma point has three children',
+    check: collection => collection.getNodes()
+      .filter(n => !n.isSoma() && n.getChildren().length === 3)
+      .map(n => ({
+        message: `The point ${n.getId()} is a trifurcation.`,
+        pointIds: [n.getId(), ...n.getChildren().map(c => c.getId())],
+      })),
+  },
+
+  {
+    name: ISSUE_TYPES.TOO_MANY_CHILDREN,
+    description: 'a point that is not a soma point has more than `maxChildren` children',
+    check: (collection, { maxChildren }) => collection.getNodes()
+      .filter(n => !n.isSoma() && n.getChildren().length > maxChildren)
+      .map(n => ({
+        message: `The point ${n.getId()} has ${n.getChildren().length} children (more than ${maxChildren}).`,
+        pointIds: [n.getId(), ...n.getChildren().map(c => c.getId())],
+      })),
+  },
+]
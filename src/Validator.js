@@ -0,0 +1,163 @@
+import Diagnostics from './Diagnostics'
+import DEFAULT_RULES from './ValidationRules'
+
+// the params of the default rules
+const DEFAULT_PARAMS = {
+  maxSegmentLength: 100,
+  maxChildren: 3,
+}
+
+const SEVERITIES = ['error', 'warning', 'info']
+
+/**
+ * A Validator runs a set of rules over the nodes of a TreeNodeCollection and reports
+ * what they find, each finding with the ids of the points involved. It comes with the
+ * rules of ValidationRules (parent id larger than the child id, non positive radius,
+ * duplicate position, long segment, type change in the middle of a branch, soma not at
+ * the root, trifurcation, too many children) and more can be registered, or the default
+ * ones removed.
+ *
+ * ```JavaScript
+ * const validator = new Validator({ maxSegmentLength: 50 })
+ * validator.remove('TRIFURCATION').register({
+ *   name: 'THIN_AXON',
+ *   check: (collection, params) => collection.getNodes()
+ *     .filter(n => n.getType() === 2 && n.getRadius() < params.minAxonRadius)
+ *     .map(n => ({ message: `The axon is too thin at ${n.getId()}.`, pointIds: [n.getId()] })),
+ * })
+ * validator.setParams({ minAxonRadius: 0.1 })
+ * const diagnostics = swcParser.validate(validator)
+ * ```
+ */
+class Validator {
+  /**
+   * @param {Object} params - the params given to the rules (default: { maxSegmentLength: 100,
+   * maxChildren: 3 })
+   */
+  constructor(params = {}) {
+    this._rules = new Map()
+    this._params = Object.assign({}, DEFAULT_PARAMS, params)
+    DEFAULT_RULES.forEach(rule => this.register(rule))
+  }
+
+
+  /**
+   * Add a rule, or replace the rule with the same name
+   * @param {Object} rule - the rule
+   * @param {String} rule.name - the name of the rule, used as the type of the issues
+   * @param {Function} rule.check - (collection: TreeNodeCollection, params: Object) => Array
+   * of findings, of form { message: String, pointIds: Array }
+   * @param {String} rule.severity - 'error', 'warning' or 'info' (default: 'warning')
+   * @param {String} rule.description - what the rule checks (default: '')
+   * @return {Validator} _this_ validator, to chain the calls
+   */
+  register({
+    name,
+    check,
+    severity = 'warning',
+    description = '',
+  }) {
+    if (!name) {
+      throw new Error('A validation rule must have a name')
+    }
+
+    if (typeof check !== 'function') {
+      throw new Error(`The validation rule ${name} must have a check function`)
+    }
+
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`The severity of the validation rule ${name} must be one of '${SEVERITIES.join('\', \'')}'`)
+    }
+
+    this._rules.set(name, {
+      name,
+      check,
+      severity,
+      description,
+    })
+    return this
+  }
+
+
+  /**
+   * Remove a rule
+   * @param {String} name - the name of the rule
+   * @return {Validator} _this_ validator, to chain the calls
+   */
+  remove(name) {
+    this._rules.delete(name)
+    return this
+  }
+
+
+  /**
+   * Tells if a rule is registered
+   * @param {String} name - the name of the rule
+   * @return {Boolean}
+   */
+  has(name) {
+    return this._rules.has(name)
+  }
+
+
+  /**
+   * Get all the rules, in the order they are run
+   * @return {Array} of Objects of form { name, check, severity, description }
+   */
+  getRules() {
+    return Array.from(this._rules.values()).map(r => Object.assign({}, r))
+  }
+
+
+  /**
+   * Change some of the params given to the rules
+   * @param {Object} params - the params to change
+   * @return {Validator} _this_ validator, to chain the calls
+   */
+  setParams(params) {
+    Object.assign(this._params, params)
+    return this
+  }
+
+
+  /**
+   * @return {Object} the params given to the rules
+   */
+  getParams() {
+    return Object.assign({}, this._params)
+  }
+
+
+  /**
+   * Run all the rules over the nodes of a collection
+   * @param {TreeNodeCollection} collection - the nodes to check
+   * @param {Diagnostics} diagnostics - the report to add the findings to. If not provided,
+   * a new one is created (default: null)
+   * @return {Diagnostics} the report, where the type of every issue is the name of the
+   * rule that found it
+   */
+  validate(collection, diagnostics = null) {
+    const report = diagnostics || new Diagnostics()
+
+    this._rules.forEach((rule) => {
+      rule.check(collection, this.getParams()).forEach((finding) => {
+        const pointIds = finding.pointIds || []
+        const lines = pointIds
+          .map(id => collection.getNode(id))
+          .filter(n => n && n.getLineNumber() !== null)
+          .map(n => n.getLineNumber())
+
+        report.add(rule.name, rule.severity, finding.message, {
+          line: lines.length ? lines[0] : null,
+          lines,
+          pointId: pointIds.length ? pointIds[0] : null,
+          pointIds,
+        })
+      })
+    })
+
+    return report
+  }
+}
+
+export default Validator
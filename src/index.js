@@ -1,5 +1,37 @@
 import SwcParser from './SwcParser'
+import AscParser from './AscParser'
+import NeuroMLParser from './NeuroMLParser'
+import SwcStreamParser from './SwcStreamParser'
+import SwcWriter from './SwcWriter'
+import NeuroMLWriter from './NeuroMLWriter'
+import Diagnostics from './Diagnostics'
+import IssueTypes from './IssueTypes'
+import SwcParseError from './SwcParseError'
+import SwcTypeRegistry from './SwcTypeRegistry'
+import SomaShape from './SomaShape'
+import Validator from './Validator'
+import Repairer from './Repairer'
+import PointTable from './PointTable'
+import PointIndex from './PointIndex'
+import TreeNodeCollection from './TreeNodeCollection'
+import parseInWorker from './parseInWorker'
 
 export default ({
   SwcParser,
+  AscParser,
+  NeuroMLParser,
+  SwcStreamParser,
+  SwcWriter,
+  NeuroMLWriter,
+  Diagnostics,
+  IssueTypes,
+  SwcParseError,
+  SwcTypeRegistry,
+  SomaShape,
+  Validator,
+  Repairer,
+  PointTable,
+  PointIndex,
+  TreeNodeCollection,
+  parseInWorker,
 })
@@ -0,0 +1,107 @@
+import morphologycorejs from 'morphologycorejs'
+import Diagnostics from './Diagnostics'
+import PointTable from './PointTable'
+import PointIndex from './PointIndex'
+import SwcParseError from './SwcParseError'
+import SwcTypeRegistry from './SwcTypeRegistry'
+import Validator from './Validator'
+
+// to match the answers of a worker with the requests
+let requestCounter = 0
+
+/**
+ * Parse a SWC string in a Web Worker, so that the calling thread is not blocked.
+ * The worker bundle is `dist/swcmorphologyparser.worker.js`. Either an existing Worker
+ * running this bundle is given (it is then kept alive and can be reused for other
+ * files) or the URL of the bundle (the worker is then terminated once done).
+ * The raw morphology and the columns of the PointTable come from the worker (the typed
+ * arrays are transferred, not copied) and the morphologycorejs Morphology is rebuilt on
+ * the calling thread.
+ * @param {String} swcText - the string that comes from the SWC file
+ * @param {Object} options - the options
+ * @param {Worker} options.worker - a worker running the worker bundle (default: null)
+ * @param {String} options.workerUrl - URL of the worker bundle, used if no worker is
+ * given (default: null)
+ * @param {Object} options.parseOptions - options for the SwcParser (default: {})
+ * @return {Promise} resolves with an Object of form { rawMorphology: Object,
+ * morphology: Morphology, pointTable: PointTable, pointIndex: PointIndex,
+ * diagnostics: Diagnostics }
+ * and rejects with the parsing error (a SwcParseError in strict mode)
+ */
+function parseInWorker(swcText, { worker = null, workerUrl = null, parseOptions = {} } = {}) {
+  if (!worker && !workerUrl) {
+    return Promise.reject(new Error('A worker or the URL of the worker bundle is needed'))
+  }
+
+  // the rules of a validator are functions, that cannot go through postMessage()
+  if (parseOptions.validate instanceof Validator) {
+    return Promise.reject(new Error('A Validator cannot be sent to a worker, use the option validate: true for the default rules'))
+  }
+
+  // eslint-disable-next-line no-undef
+  const theWorker = worker || new Worker(workerUrl)
+  requestCounter += 1
+  const id = requestCounter
+
+  return new Promise((resolve, reject) => {
+    const listeners = {}
+
+    // whatever the answer is, we stop listening
+    const cleanup = () => {
+      theWorker.removeEventListener('message', listeners.message)
+      theWorker.removeEventListener('error', listeners.error)
+      if (!worker) {
+        theWorker.terminate()
+      }
+    }
+
+    listeners.error = (event) => {
+      cleanup()
+      reject(new Error(event.message || 'The worker failed'))
+    }
+
+    listeners.message = (event) => {
+      if (event.data.id !== id) {
+        return
+      }
+
+      cleanup()
+
+      const { error } = event.data
+      if (error) {
+        reject(error.name === 'SwcParseError' ? new SwcParseError(error.message, error) : new Error(error.message))
+        return
+      }
+
+      const { rawMorphology, columns, pointIndex } = event.data
+      let morphology = null
+
+      if (rawMorphology) {
+        morphology = new morphologycorejs.Morphology()
+        morphology.buildFromRawMorphology({
+          soma: rawMorphology.soma,
+          sections: rawMorphology.sections || [],
+        })
+      }
+
+      resolve({
+        rawMorphology,
+        morphology,
+        pointTable: PointTable.fromColumns(columns),
+        pointIndex: PointIndex.fromJSON(pointIndex),
+        diagnostics: Diagnostics.fromJSON(event.data.diagnostics),
+      })
+    }
+
+    theWorker.addEventListener('message', listeners.message)
+    theWorker.addEventListener('error', listeners.error)
+    // a registry cannot go through postMessage() with its methods
+    const options = Object.assign({}, parseOptions)
+    if (options.typeRegistry instanceof SwcTypeRegistry) {
+      options.typeRegistry = options.typeRegistry.toJSON()
+    }
+    theWorker.postMessage({ id, swcText, options })
+  })
+}
+
+export default parseInWorker
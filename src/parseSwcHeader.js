@@ -0,0 +1,177 @@
+/*
+ * The standard SWC header fields, as described in the SWC spec
+ * (http://www.neuronland.org/NLMorphologyConverter/MorphologyFormats/SWC/Spec.html),
+ * with the name of the property they end up in and how their value is read.
+ */
+const STANDARD_FIELDS = {
+  ORIGINAL_SOURCE: { property: 'originalSource', kind: 'text' },
+  CREATURE: { property: 'creature', kind: 'text' },
+  REGION: { property: 'region', kind: 'text' },
+  'FIELD/LAYER': { property: 'fieldLayer', kind: 'text' },
+  TYPE: { property: 'type', kind: 'text' },
+  CONTRIBUTOR: { property: 'contributor', kind: 'text' },
+  REFERENCE: { property: 'reference', kind: 'text' },
+  RAW: { property: 'raw', kind: 'text' },
+  EXTRAS: { property: 'extras', kind: 'text' },
+  SOMA_AREA: { property: 'somaArea', kind: 'number' },
+  SHRINKAGE_CORRECTION: { property: 'shrinkageCorrection', kind: 'vector' },
+  VERSION_NUMBER: { property: 'versionNumber', kind: 'number' },
+  VERSION_DATE: { property: 'versionDate', kind: 'text' },
+  SCALE: { property: 'scale', kind: 'vector' },
+}
+
+// other names used for the standard fields, once normalized (uppercase, with underscores)
+const ALIASES = {
+  SPECIES: 'CREATURE',
+  BRAIN_REGION: 'REGION',
+  CELL_TYPE: 'TYPE',
+  SOURCE: 'ORIGINAL_SOURCE',
+  ORIGINAL_FILE: 'ORIGINAL_SOURCE',
+  SHRINKAGE: 'SHRINKAGE_CORRECTION',
+}
+
+// the NeuroMorpho.Org standardization line, eg.
+// "Original file 'cell1.asc' edited by Duncan Donohue using StdSwc version 1.31 on 3/12/07."
+const NEUROMORPHO_REGEX = /^Original file\s+'?(.+?)'?\s+edited by\s+(.+?)\s+using\s+(.+?)\s+version\s+(\S+)\s+on\s+(.+?)\.?$/i
+
+// a standard-like field: an uppercase keyword followed by its value
+const UPPERCASE_FIELD_REGEX = /^([A-Z][A-Z0-9_/]*)\s+(.+)$/
+
+// a NeuroMorpho-like field, eg. "Species: rat" or "Scale = 1 1 1"
+const NAMED_FIELD_REGEX = /^([A-Za-z][\w ./()-]*?)\s*[:=]\s*(.+)$/
+
+// an uppercase key, eg. "STAIN: Golgi", which is a field even if it is not a standard one
+const UPPERCASE_KEY_REGEX = /^[A-Z][A-Z0-9_ /]*$/
+
+/**
+ * @private
+ * Read a value from a header field
+ * @param {String} value - the raw value
+ * @param {String} kind - 'text', 'number' or 'vector'
+ * @return {String|Number|Array} the value, a number, or an array of numbers
+ */
+function readValue(value, kind) {
+  if (kind === 'number') {
+    return parseFloat(value)
+  }
+
+  if (kind === 'vector') {
+    return value.trim().split(/[\s,]+/).map(parseFloat)
+  }
+
+  return value
+}
+
+/**
+ * @private
+ * Normalize the key of a header field: uppercase, with underscores, and aliases replaced
+ * by the standard field they stand for
+ * @param {String} key - the key, as written in the file
+ * @return {String} the normalized key
+ */
+function normalizeKey(key) {
+  const normalizedKey = key.toUpperCase().replace(/\s+/g, '_')
+  return ALIASES[normalizedKey] || normalizedKey
+}
+
+/**
+ * Build the metadata of a SWC file from its comment lines. Both the standard SWC
+ * header fields and the NeuroMorpho.Org conventions are understood, as well as fields
+ * written like 'Species: rat' (case insensitive, with a few aliases such as 'Species'
+ * for CREATURE or 'Brain region' for REGION). A 'Key: value' or 'Key = value' line whose
+ * key is neither a standard field, an alias nor written in uppercase, like
+ * 'Note: traced by hand', is a free-form comment. The result is of form:
+ *   {
+ *     originalSource, creature, region, fieldLayer, type, contributor, reference,
+ *     raw, extras, versionDate: String|null,
+ *     somaArea, versionNumber: Number|null,
+ *     scale, shrinkageCorrection: Array [x, y, z] or null,
+ *     neuroMorpho: { originalFile, editedBy, software, softwareVersion, date } or null,
+ *     fields: Object, // every 'KEY value' or 'Key: value' found, as strings
+ *     comments: Array, // the free-form comments, as { line: Number, text: String }
+ *     headerLines: Array, // all the comment lines, as they were written in the file, as
+ *       // { line: Number, rawText: String, field: String|null }, where field is the
+ *       // property of the standard field the line defines, if any
+ *   }
+ * When a field is given on several lines, its values are joined by a line break (or the
+ * last one is taken, for numbers and vectors).
+ * @param {Array} comments - the comment lines, of form { line: Number, text: String,
+ * rawText: String }, where the text does not contain the leading '#' and the raw text
+ * is the whole line
+ * @return {Object} the metadata
+ */
+function parseSwcHeader(comments) {
+  const metadata = {}
+
+  Object.values(STANDARD_FIELDS).forEach((f) => {
+    metadata[f.property] = null
+  })
+
+  metadata.neuroMorpho = null
+  metadata.fields = {}
+  metadata.comments = []
+  metadata.headerLines = []
+
+  comments.forEach((comment) => {
+    const text = comment.text.trim()
+    const headerLine = {
+      line: comment.line,
+      rawText: comment.rawText || `# ${text}`,
+      field: null,
+    }
+    metadata.headerLines.push(headerLine)
+
+    if (!text.length) {
+      return
+    }
+
+    const neuroMorphoMatch = text.match(NEUROMORPHO_REGEX)
+    if (neuroMorphoMatch) {
+      metadata.neuroMorpho = {
+        originalFile: neuroMorphoMatch[1],
+        editedBy: neuroMorphoMatch[2],
+        software: neuroMorphoMatch[3],
+        softwareVersion: neuroMorphoMatch[4],
+        date: neuroMorphoMatch[5],
+      }
+      return
+    }
+
+    // an uppercase word is a keyword only if it looks like one, otherwise the comment
+    // could just start with a capital letter
+    let fieldMatch = text.match(UPPERCASE_FIELD_REGEX)
+    if (!fieldMatch || !(fieldMatch[1] in STANDARD_FIELDS || fieldMatch[1].includes('_'))) {
+      fieldMatch = text.match(NAMED_FIELD_REGEX)
+
+      // any sentence can have a colon, so only the known or uppercase keys make a field
+      if (fieldMatch) {
+        const key = fieldMatch[1].trim()
+        if (!(normalizeKey(key) in STANDARD_FIELDS || UPPERCASE_KEY_REGEX.test(key))) {
+          fieldMatch = null
+        }
+      }
+    }
+
+    if (!fieldMatch) {
+      metadata.comments.push({ line: comment.line, text })
+      return
+    }
+
+    const key = fieldMatch[1].trim()
+    const value = fieldMatch[2].trim()
+    metadata.fields[key] = key in metadata.fields ? `${metadata.fields[key]}\n${value}` : value
+
+    const standardKey = normalizeKey(key)
+
+    if (standardKey in STANDARD_FIELDS) {
+      const { property, kind } = STANDARD_FIELDS[standardKey]
+      // texts are accumulated, numbers and vectors are taken from the last line
+      metadata[property] = readValue(kind === 'text' ? metadata.fields[key] : value, kind)
+      headerLine.field = property
+    }
+  })
+
+  return metadata
+}
+
+export default parseSwcHeader
@@ -0,0 +1,50 @@
+import SwcParser from './SwcParser'
+
+/*
+ * Entry point of the Web Worker bundle (dist/swcmorphologyparser.worker.js).
+ * The worker receives messages of form { id: Number, swcText: String, options: Object },
+ * parses the SWC and answers with { id, rawMorphology, columns, pointIndex, diagnostics } where
+ * `columns` are the typed arrays of the PointTable, sent as transferables so that they
+ * are not copied. If the parsing fails, the answer is { id, error }.
+ * Use `parseInWorker()` on the main thread rather than talking to the worker directly.
+ */
+
+// eslint-disable-next-line no-restricted-globals, no-undef
+const scope = self
+
+scope.onmessage = (event) => {
+  const { id, swcText, options } = event.data
+
+  try {
+    const parser = new SwcParser(options)
+    const diagnostics = parser.parse(swcText)
+    const columns = parser.getPointTable().getColumns()
+
+    // the same buffer must not be listed twice
+    const transferables = Object.values(columns)
+      .map(c => c.buffer)
+      .filter((b, i, all) => all.indexOf(b) === i)
+
+    scope.postMessage({
+      id,
+      rawMorphology: parser.getRawMorphology(),
+      columns,
+      pointIndex: parser.getPointIndex().toJSON(),
+      diagnostics: diagnostics.toJSON(),
+    }, transferables)
+  } catch (e) {
+    scope.postMessage({
+      id,
+      error: {
+        name: e.name,
+        message: e.message,
+        type: e.type,
+        line: e.line,
+        column: e.column,
+        rawText: e.rawText,
+        pointId: e.pointId,
+        pointIds: e.pointIds,
+      },
+    })
+  }
+}
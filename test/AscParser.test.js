@@ -0,0 +1,103 @@
+const assert = require('assert')
+const { AscParser, SwcParseError, IssueTypes } = require('../src/index').default
+
+// a soma contour, a dendrite that branches, with a spine and a marker, and an axon
+const ASC = `; made by hand
+("CellBody"
+  (Color Red)
+  (CellBody)
+  (10 0 0 1)
+  (0 10 0 1)
+  (-10 0 0 1)
+  (0 -10 0 1)
+)
+
+( (Color Yellow)
+  (Dendrite)
+  (0 12 0 2)
+  (0 20 0 2)
+  <(1 20 0 0.5)>
+  (
+    (5 25 0 1)
+    (Dot (Name "M1") (5 26 0 0.5))
+  |
+    (-5 25 0 1)
+    Normal
+  )
+)
+
+( (Axon)
+  (0 -12 0 1)
+  (0 -30 0 1)
+)
+`
+
+describe('AscParser', () => {
+  it('reads the soma, the trees and their branches', () => {
+    const parser = new AscParser()
+    const diagnostics = parser.parse(ASC)
+    assert.strictEqual(diagnostics.hasWarnings(), false)
+
+    // the soma points are chained, every tree is attached to the closest soma point
+    const points = parser.getPointTable().toPoints().map(p => [p[0], p[1], p[6]])
+    assert.deepStrictEqual(points, [
+      [1, 1, -1], [2, 1, 1], [3, 1, 2], [4, 1, 3],
+      [5, 3, 2], [6, 3, 5], [7, 3, 6], [8, 3, 6],
+      [9, 2, 4], [10, 2, 9],
+    ])
+
+    // the ASC files give the diameter
+    assert.strictEqual(parser.getPointTable().getPoint(4)[5], 1)
+    assert.strictEqual(parser.getSoma().getConvention(), 'contour')
+    const types = parser.getRawMorphology().sections.map(s => s.typevalue).filter(t => t !== 1)
+    assert.deepStrictEqual(types.sort(), [2, 3, 3, 3])
+  })
+
+  it('keeps the spines and the markers as annotations', () => {
+    const parser = new AscParser()
+    parser.parse(ASC)
+
+    const annotations = parser.getAnnotations()
+    assert.deepStrictEqual(annotations.map(a => [a.kind, a.markerType, a.name, a.pointId]), [
+      ['spine', null, null, 6],
+      ['marker', 'Dot', 'M1', 7],
+    ])
+    assert.deepStrictEqual(annotations[1].points, [{ position: [5, 26, 0], radius: 0.25 }])
+  })
+
+  it('keeps the whole-line comments in the metadata', () => {
+    const parser = new AscParser()
+    parser.parse(ASC)
+    assert.deepStrictEqual(parser.getMetadata().comments, [{ line: 1, text: 'made by hand' }])
+  })
+
+  it('gives the type 0 to a tree without type, and reports it', () => {
+    const parser = new AscParser()
+    const diagnostics = parser.parse('( (0 0 0 1) (0 5 0 1) )')
+    assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.UNKNOWN_TREE_TYPE).length, 1)
+    assert.strictEqual(parser.getPointTable().getColumn('types')[0], 0)
+  })
+
+  it('ignores a point with invalid coordinates', () => {
+    const parser = new AscParser()
+    const diagnostics = parser.parse('( (Dendrite) (0 0 0 1) (0 x 0 1) (0 5 0 1) )')
+
+    const issues = diagnostics.getIssuesByType(IssueTypes.INVALID_NUMBER)
+    assert.strictEqual(issues.length, 1)
+    assert.strictEqual(parser.getPointTable().getLength(), 2)
+  })
+
+  it('closes the expressions left open at the end of the file', () => {
+    const parser = new AscParser()
+    const diagnostics = parser.parse('( (Dendrite) (0 0 0 1) (0 5 0 1)')
+    assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.SYNTAX_ERROR).length, 1)
+    assert.strictEqual(parser.getPointTable().getLength(), 2)
+  })
+
+  it('throws on a syntax error in strict mode', () => {
+    assert.throws(
+      () => new AscParser({ mode: 'strict' }).parse('( (Dendrite) (0 0 0 1) ))'),
+      e => e instanceof SwcParseError && e.type === IssueTypes.SYNTAX_ERROR && e.line === 1,
+    )
+  })
+})
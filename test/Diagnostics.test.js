@@ -0,0 +1,85 @@
+const assert = require('assert')
+const { SwcParser, Diagnostics, IssueTypes } = require('../src/index').default
+
+describe('Diagnostics', () => {
+  it('collects the issues with their type, severity, location and message', () => {
+    const diagnostics = new Diagnostics()
+    diagnostics.error(IssueTypes.NO_DATA, 'Nothing.')
+    diagnostics.warning(IssueTypes.NO_SOMA, 'No soma.', { line: 3, pointId: 2 })
+    diagnostics.info(IssueTypes.NO_SECTION, 'No section.')
+
+    assert.strictEqual(diagnostics.getNumberOfIssues(), 3)
+    const [, warning] = diagnostics.getIssues()
+    assert.strictEqual(warning.type, IssueTypes.NO_SOMA)
+    assert.strictEqual(warning.severity, 'warning')
+    assert.strictEqual(warning.line, 3)
+    assert.strictEqual(warning.pointId, 2)
+    assert.strictEqual(warning.message, 'No soma.')
+    assert.strictEqual(diagnostics.getIssues()[0].line, null)
+  })
+
+  it('filters the issues by severity and type', () => {
+    const diagnostics = new Diagnostics()
+    assert.strictEqual(diagnostics.hasErrors(), false)
+    assert.strictEqual(diagnostics.hasWarnings(), false)
+
+    diagnostics.warning(IssueTypes.NO_SOMA, 'No soma.')
+    diagnostics.warning(IssueTypes.NO_SECTION, 'No section.')
+    assert.strictEqual(diagnostics.hasErrors(), false)
+    assert.strictEqual(diagnostics.hasWarnings(), true)
+    assert.strictEqual(diagnostics.getIssuesBySeverity('warning').length, 2)
+    assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.NO_SOMA).length, 1)
+
+    diagnostics.error(IssueTypes.NO_DATA, 'Nothing.')
+    assert.strictEqual(diagnostics.hasErrors(), true)
+  })
+
+  it('counts the errors and warnings in its JSON form', () => {
+    const diagnostics = new Diagnostics()
+    diagnostics.error(IssueTypes.NO_DATA, 'Nothing.')
+    diagnostics.warning(IssueTypes.NO_SOMA, 'No soma.')
+    diagnostics.info(IssueTypes.NO_SECTION, 'No section.')
+
+    const json = JSON.parse(JSON.stringify(diagnostics))
+    assert.strictEqual(json.errors, 1)
+    assert.strictEqual(json.warnings, 1)
+    assert.deepStrictEqual(json.issues.map(i => i.type), [IssueTypes.NO_DATA, IssueTypes.NO_SOMA, IssueTypes.NO_SECTION])
+  })
+
+  describe('parse', () => {
+    it('returns the report of the parsing, also given by getDiagnostics()', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse('1 1 0 0 0 5 -1\n2 2 0 5 0 1 1')
+      assert.ok(diagnostics instanceof Diagnostics)
+      assert.strictEqual(parser.getDiagnostics(), diagnostics)
+      assert.strictEqual(diagnostics.hasErrors(), false)
+      assert.strictEqual(diagnostics.hasWarnings(), false)
+    })
+
+    it('reports a morphology without soma instead of logging it', () => {
+      const warn = console.warn
+      const logged = []
+      console.warn = (...args) => logged.push(args)
+
+      let diagnostics = null
+      try {
+        diagnostics = new SwcParser().parse('1 2 0 0 0 1 -1\n2 2 0 5 0 1 1')
+      } finally {
+        console.warn = warn
+      }
+
+      assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.NO_SOMA).length, 1)
+      assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.NO_SOMA)[0].severity, 'warning')
+      assert.deepStrictEqual(logged, [])
+    })
+
+    it('starts a new report for every file', () => {
+      const parser = new SwcParser()
+      const first = parser.parse('1 2 0 0 0 1 -1\n2 2 0 5 0 1 1')
+      const second = parser.parse('1 1 0 0 0 5 -1\n2 2 0 5 0 1 1')
+      assert.notStrictEqual(first, second)
+      assert.strictEqual(first.getIssuesByType(IssueTypes.NO_SOMA).length, 1)
+      assert.strictEqual(second.getIssuesByType(IssueTypes.NO_SOMA).length, 0)
+    })
+  })
+})
@@ -0,0 +1,106 @@
+const assert = require('assert')
+const {
+  NeuroMLParser,
+  SwcParseError,
+  IssueTypes,
+} = require('../src/index').default
+
+// the segments 1 and 2 are each other's parent, attached at their start
+const LOOP = `<neuroml>
+  <morphology id="m">
+    <segment id="0" name="soma">
+      <proximal x="0" y="0" z="0" diameter="10"/>
+      <distal x="0" y="10" z="0" diameter="10"/>
+    </segment>
+    <segment id="1" name="dend_1">
+      <parent segment="2" fractionAlong="0"/>
+      <distal x="0" y="20" z="0" diameter="1"/>
+    </segment>
+    <segment id="2" name="dend_2">
+      <parent segment="1" fractionAlong="0"/>
+      <distal x="0" y="30" z="0" diameter="1"/>
+    </segment>
+  </morphology>
+</neuroml>`
+
+// a soma, an axon that starts at the soma and a dendrite attached at the start of the
+// soma, with a proximal point away from it
+const CELL = `<neuroml>
+  <morphology id="m">
+    <segment id="0" name="soma">
+      <proximal x="0" y="0" z="0" diameter="10"/>
+      <distal x="0" y="10" z="0" diameter="10"/>
+    </segment>
+    <segment id="1" name="axon_1">
+      <parent segment="0"/>
+      <distal x="0" y="20" z="0" diameter="2"/>
+    </segment>
+    <segment id="2" name="dend_1">
+      <parent segment="0" fractionAlong="0"/>
+      <proximal x="0" y="-5" z="0" diameter="2"/>
+      <distal x="0" y="-15" z="0" diameter="1"/>
+    </segment>
+    <segmentGroup id="soma_group"><member segment="0"/></segmentGroup>
+    <segmentGroup id="axon_group"><member segment="1"/></segmentGroup>
+    <segmentGroup id="dendrite_group"><member segment="2"/></segmentGroup>
+  </morphology>
+</neuroml>`
+
+describe('NeuroMLParser', () => {
+  it('reads the points, types and parents of the segments', () => {
+    const parser = new NeuroMLParser()
+    const diagnostics = parser.parse(CELL)
+    assert.strictEqual(diagnostics.hasWarnings(), false)
+
+    // the soma and the dendrite have their own proximal point, the axon starts from the soma
+    const points = parser.getPointTable().toPoints().map(p => p.slice(0, 7))
+    assert.deepStrictEqual(points, [
+      [1, 1, 0, 0, 0, 5, -1],
+      [2, 1, 0, 10, 0, 5, 1],
+      [3, 2, 0, 20, 0, 1, 2],
+      [4, 3, 0, -5, 0, 1, 1],
+      [5, 3, 0, -15, 0, 0.5, 4],
+    ])
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(id => parser.getSegmentId(id)), [0, 0, 1, 2, 2])
+    assert.ok(parser.getMorphology())
+  })
+
+  it('warns about a fractionAlong that is neither 0 nor 1 and attaches at the distal end', () => {
+    const parser = new NeuroMLParser()
+    const diagnostics = parser.parse(CELL.replace('<parent segment="0"/>', '<parent segment="0" fractionAlong="0.5"/>'))
+
+    const issues = diagnostics.getIssuesByType(IssueTypes.IGNORED_CONTENT)
+    assert.strictEqual(issues.length, 1)
+    assert.strictEqual(issues[0].line, 8)
+    assert.strictEqual(parser.getPointTable().getPoint(2)[6], 2)
+  })
+
+  describe('loops in the parent segments', () => {
+    it('throws a SwcParseError with onCycle: error', () => {
+      assert.throws(() => new NeuroMLParser({ onCycle: 'error' }).parse(LOOP), e => e instanceof SwcParseError
+        && e.type === IssueTypes.CYCLE && e.line === 7)
+    })
+
+    it('throws in strict mode, even with onCycle: break', () => {
+      assert.throws(
+        () => new NeuroMLParser({ mode: 'strict', onCycle: 'break' }).parse(LOOP),
+        e => e.type === IssueTypes.CYCLE,
+      )
+    })
+
+    it('removes the parent of the first segment of the loop in lenient mode', () => {
+      const parser = new NeuroMLParser()
+      const diagnostics = parser.parse(LOOP)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.CYCLE)
+      assert.strictEqual(issues.length, 1)
+      assert.deepStrictEqual(issues[0].lines, [7, 11])
+
+      // the segment 1 has no parent any more and every point is read
+      const points = parser.getPointTable().toPoints()
+      assert.strictEqual(points.length, 4)
+      const segment1 = points.find(p => parser.getSegmentId(p[0]) === 1)
+      assert.strictEqual(segment1[6], -1)
+    })
+  })
+})
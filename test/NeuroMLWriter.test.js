@@ -0,0 +1,59 @@
+const assert = require('assert')
+const { SwcParser, NeuroMLParser, NeuroMLWriter } = require('../src/index').default
+
+// a soma, an axon and a basal dendrite
+const SWC = [
+  '1 1 0 0 0 5 -1',
+  '2 2 0 5 0 1 1',
+  '3 2 0 10 0 0.5 2',
+  '4 3 0 -5 0 1 1',
+  '5 3 2 -10 0 0.5 4',
+].join('\n')
+
+/**
+ * @param {String} swc - a SWC string
+ * @return {SwcParser} the parser, once the string is parsed
+ */
+function parse(swc) {
+  const parser = new SwcParser()
+  parser.parse(swc)
+  return parser
+}
+
+describe('NeuroMLWriter', () => {
+  it('writes a segment per point, from its parent, with the diameters', () => {
+    const neuroML = new NeuroMLWriter({ standalone: false })
+      .write(parse(SWC).getTreeNodeCollection())
+
+    assert.ok(neuroML.startsWith('<morphology id="morphology">'))
+    assert.strictEqual((neuroML.match(/<segment /g) || []).length, 5)
+    assert.ok(neuroML.includes([
+      '  <segment id="1">',
+      '    <parent segment="0"/>',
+      '    <proximal x="0" y="0" z="0" diameter="10"/>',
+      '    <distal x="0" y="5" z="0" diameter="2"/>',
+      '  </segment>',
+    ].join('\n')))
+  })
+
+  it('groups the segments by type, with the dendrite group including the basal one', () => {
+    const neuroML = new NeuroMLWriter().write(parse(SWC).getTreeNodeCollection())
+
+    assert.ok(neuroML.includes('<cell id="cell">'))
+    assert.ok(/<segmentGroup id="soma_group"[^>]*>\s*<member segment="0"\/>\s*<\/segmentGroup>/.test(neuroML))
+    assert.ok(/<segmentGroup id="axon_group"[^>]*>\s*<member segment="1"\/>\s*<member segment="2"\/>/.test(neuroML))
+    assert.ok(/<segmentGroup id="dendrite_group"[^>]*>\s*<include segmentGroup="basal_dendrite_group"\/>/.test(neuroML))
+  })
+
+  it('gives the same points when the output is parsed by NeuroMLParser', () => {
+    const parser = parse(SWC)
+    const neuroMLParser = new NeuroMLParser()
+    const diagnostics = neuroMLParser.parse(new NeuroMLWriter().write(parser.getTreeNodeCollection()))
+
+    assert.strictEqual(diagnostics.hasWarnings(), false)
+    assert.deepStrictEqual(
+      neuroMLParser.getPointTable().toPoints().map(p => p.slice(0, 7)),
+      parser.getPointTable().toPoints().map(p => p.slice(0, 7)),
+    )
+  })
+})
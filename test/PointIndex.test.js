@@ -0,0 +1,49 @@
+const assert = require('assert')
+const { SwcParser, PointIndex } = require('../src/index').default
+
+// a soma, a dendrite of 2 points that branches into 4 and 5
+const SWC = [
+  '1 1 0 0 0 5 -1',
+  '2 3 0 5 0 1 1',
+  '3 3 0 10 0 1 2',
+  '4 3 3 12 0 1 3',
+  '5 3 -3 12 0 1 3',
+].join('\n')
+
+describe('PointIndex', () => {
+  const parser = new SwcParser()
+  parser.parse(SWC)
+  const index = parser.getPointIndex()
+
+  it('gives the main location of a branching point, where it is not a copy', () => {
+    assert.deepStrictEqual(index.getLocation(3), { sectionId: 1, pointIndex: 2 })
+    assert.deepStrictEqual(index.getLocations(3).map(l => l.sectionId), [1, 2, 3])
+  })
+
+  it('gives the id of a point from its location', () => {
+    const { sectionId, pointIndex } = index.getLocation(4)
+    assert.strictEqual(index.getPointId(sectionId, pointIndex), 4)
+    assert.strictEqual(index.getPointId(sectionId, 99), null)
+    assert.deepStrictEqual(index.getSectionPointIds(1), [1, 2, 3])
+  })
+
+  it('knows the soma points', () => {
+    assert.strictEqual(index.getSomaPointIndex(1), 0)
+    assert.strictEqual(index.getSomaPointIndex(2), -1)
+    assert.strictEqual(index.getSomaPointId(0), 1)
+    assert.strictEqual(index.getSomaPointId(1), null)
+  })
+
+  it('tells the points that are not in the morphology', () => {
+    assert.ok(index.has(5))
+    assert.ok(!index.has(9))
+    assert.strictEqual(index.getLocation(9), null)
+    assert.deepStrictEqual(index.getLocations(9), [])
+  })
+
+  it('goes through JSON', () => {
+    const copy = PointIndex.fromJSON(JSON.parse(JSON.stringify(index)))
+    assert.deepStrictEqual(copy.getLocation(5), index.getLocation(5))
+    assert.strictEqual(copy.getSomaPointIndex(1), 0)
+  })
+})
@@ -0,0 +1,25 @@
+const assert = require('assert')
+const { PointTable, SwcParser } = require('../src/index').default
+
+// above 2^24, a Float32Array cannot store every integer
+const BIG = 16777217
+
+describe('PointTable', () => {
+  describe('extra columns', () => {
+    it('are stored as Float64Array even with a float precision of 32', () => {
+      const table = new PointTable({ capacity: 1, floatPrecision: 32 })
+      table.addPoint([1, 1, 0.1, 0, 0, 5, -1, 1, [BIG]])
+      table.addPoint([2, 3, 0.2, 1, 0, 1, 1, 2, [BIG + 2]])
+
+      assert.ok(table.getColumn('x') instanceof Float32Array)
+      assert.ok(table.getColumn('column8') instanceof Float64Array)
+      assert.deepStrictEqual(Array.from(table.getColumn('column8')), [BIG, BIG + 2])
+    })
+
+    it('keep their precision when parsed with floatPrecision: 32', () => {
+      const parser = new SwcParser({ floatPrecision: 32 })
+      const table = parser.parsePointTable(`1 1 0 0 0 5 -1 ${BIG}\n2 3 0 1 0 1 1 ${BIG + 2}`)
+      assert.deepStrictEqual(Array.from(table.getColumn('column8')), [BIG, BIG + 2])
+    })
+  })
+})
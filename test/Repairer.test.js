@@ -0,0 +1,120 @@
+const assert = require('assert')
+const { SwcParser, Repairer, IssueTypes } = require('../src/index').default
+
+const SOMA = '1 1 0 0 0 5 -1'
+
+/**
+ * Parse a SWC string and repair it with the default passes
+ * @param {String} swc - the SWC string
+ * @param {Object} params - the params of the Repairer
+ * @return {Object} of form { parser, collection, log }
+ */
+function repair(swc, params) {
+  const parser = new SwcParser()
+  parser.parse(swc)
+  return Object.assign({ parser }, parser.repair(new Repairer(params)))
+}
+
+describe('Repairer', () => {
+  it('runs the default passes in a fixed order', () => {
+    assert.deepStrictEqual(new Repairer().getPasses().map(p => p.name), [
+      IssueTypes.POINT_RETYPED,
+      IssueTypes.DUPLICATE_POINT_MERGED,
+      IssueTypes.ZERO_LENGTH_SEGMENT_REMOVED,
+      IssueTypes.RADIUS_INTERPOLATED,
+      IssueTypes.FRAGMENT_RECONNECTED,
+    ])
+  })
+
+  it('does not change the original collection', () => {
+    const { parser, collection } = repair(`${SOMA}\n2 3 0 5 0 1 1\n3 3 0 5 0 1 2`)
+    assert.strictEqual(parser.getTreeNodeCollection().getNodes().length, 3)
+    assert.strictEqual(collection.getNodes().length, 2)
+  })
+
+  it('retypes a single point in the middle of a branch', () => {
+    const { collection, log } = repair(`${SOMA}\n2 3 0 5 0 1 1\n3 4 0 6 0 1 2\n4 3 0 7 0 1 3`)
+    assert.strictEqual(collection.getNode(3).getType(), 3)
+    assert.strictEqual(log.getIssuesByType(IssueTypes.POINT_RETYPED).length, 1)
+  })
+
+  it('merges a duplicate point without also removing it as a zero-length segment', () => {
+    const { collection, log } = repair(`${SOMA}\n2 3 0 5 0 1 1\n3 3 0 5 0 1 2\n4 3 0 6 0 1 3`)
+    assert.strictEqual(collection.getNode(3), null)
+    assert.strictEqual(collection.getNode(4).getParent().getId(), 2)
+
+    const merged = log.getIssuesByType(IssueTypes.DUPLICATE_POINT_MERGED)
+    assert.deepStrictEqual(merged.map(i => i.pointIds), [[3, 2]])
+    assert.strictEqual(log.getIssuesByType(IssueTypes.ZERO_LENGTH_SEGMENT_REMOVED).length, 0)
+  })
+
+  it('removes a point at the position of its parent with another radius', () => {
+    const { collection, log } = repair(`${SOMA}\n2 3 0 5 0 1 1\n3 3 0 5 0 2 2\n4 3 0 6 0 1 3`)
+    assert.strictEqual(collection.getNode(3), null)
+    assert.strictEqual(log.getIssuesByType(IssueTypes.DUPLICATE_POINT_MERGED).length, 0)
+    assert.strictEqual(log.getIssuesByType(IssueTypes.ZERO_LENGTH_SEGMENT_REMOVED).length, 1)
+  })
+
+  it('interpolates an invalid radius from the closest valid ones', () => {
+    const { collection } = repair(`${SOMA}\n2 3 0 5 0 1 1\n3 3 0 6 0 0 2\n4 3 0 8 0 4 3`)
+    assert.strictEqual(collection.getNode(3).getRadius(), 2)
+  })
+
+  it('links the fragments to the closest node of the same type within the distance', () => {
+    const swc = [
+      SOMA,
+      '2 3 0 5 0 1 1',
+      '3 3 0 6 0 1 2',
+      '4 3 0 8 0 1 -1', // 2 away from 3
+      '5 3 0 9 0 1 4',
+      '6 3 0 100 0 1 -1', // too far
+    ].join('\n')
+    const { collection, log } = repair(swc, { maxReconnectDistance: 5 })
+
+    assert.strictEqual(collection.getNode(4).getParent().getId(), 3)
+    assert.strictEqual(collection.getNode(6).getParent(), null)
+    assert.deepStrictEqual(collection.getRoots().map(n => n.getId()).sort(), [1, 6])
+    assert.strictEqual(log.getIssuesByType(IssueTypes.FRAGMENT_RECONNECTED).length, 1)
+  })
+
+  it('links a fragment to a fragment that was linked before it', () => {
+    const swc = [
+      SOMA,
+      '2 3 0 5 0 1 1',
+      '3 3 0 8 0 1 -1',
+      '4 3 0 9 0 1 3',
+      '5 3 0 12 0 1 -1',
+    ].join('\n')
+    const { collection } = repair(swc, { maxReconnectDistance: 5 })
+
+    assert.strictEqual(collection.getNode(3).getParent().getId(), 2)
+    assert.strictEqual(collection.getNode(5).getParent().getId(), 4)
+    assert.deepStrictEqual(collection.getRoots().map(n => n.getId()), [1])
+  })
+
+  it('keeps the largest tree when there is no soma', () => {
+    const swc = [
+      '1 3 0 0 0 1 -1',
+      '2 3 0 1 0 1 -1',
+      '3 3 0 2 0 1 2',
+    ].join('\n')
+    const { collection } = repair(swc)
+    assert.strictEqual(collection.getNode(1).getParent().getId(), 2)
+  })
+
+  it('runs a registered pass after the default ones', () => {
+    const repairer = new Repairer().register({
+      name: 'RADIUS_DOUBLED',
+      repair: (collection, params, log) => collection.getNodes().forEach((n) => {
+        n.setRadius(n.getRadius() * 2)
+        log('doubled', [n.getId()])
+      }),
+    })
+    const parser = new SwcParser()
+    parser.parse(`${SOMA}\n2 3 0 5 0 1 1`)
+    const { collection, log } = parser.repair(repairer)
+
+    assert.strictEqual(collection.getNode(2).getRadius(), 2)
+    assert.strictEqual(log.getIssuesByType('RADIUS_DOUBLED').length, 2)
+  })
+})
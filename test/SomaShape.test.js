@@ -0,0 +1,100 @@
+const assert = require('assert')
+const { SwcParser, AscParser, IssueTypes } = require('../src/index').default
+
+// four points around (0, 0, 0), at a distance of 10, chained, with a given radius
+const contour = radius => [
+  `1 1 10 0 0 ${radius} -1`,
+  `2 1 0 10 0 ${radius} 1`,
+  `3 1 -10 0 0 ${radius} 2`,
+  `4 1 0 -10 0 ${radius} 3`,
+].join('\n')
+
+/**
+ * @param {String} swc - a SWC string with a soma
+ * @param {Object} options - the parse options (default: somaConvention 'auto')
+ * @return {SomaShape} the soma
+ */
+function parseSoma(swc, options = { somaConvention: 'auto' }) {
+  const parser = new SwcParser(options)
+  parser.parse(swc)
+  return parser.getSoma()
+}
+
+describe('SomaShape', () => {
+  describe('convention detection', () => {
+    it('detects a single-point soma', () => {
+      const soma = parseSoma('1 1 0 0 0 5 -1')
+      assert.strictEqual(soma.getConvention(), 'single-point')
+      assert.strictEqual(soma.getRadius(), 5)
+    })
+
+    it('detects a three-point soma', () => {
+      const soma = parseSoma('1 1 0 0 0 5 -1\n2 1 0 -5 0 5 1\n3 1 0 5 0 5 1')
+      assert.strictEqual(soma.getConvention(), 'three-point')
+      assert.deepStrictEqual(soma.getCenter(), [0, 0, 0])
+      assert.strictEqual(soma.getRadius(), 5)
+    })
+
+    it('detects a contour whose points have a small radius', () => {
+      const soma = parseSoma(contour(0.5))
+      assert.strictEqual(soma.getConvention(), 'contour')
+      assert.strictEqual(soma.getRadius(), 10)
+    })
+
+    it('detects a contour whose points have the radius of the soma', () => {
+      const soma = parseSoma(contour(10))
+      assert.strictEqual(soma.getConvention(), 'contour')
+      assert.strictEqual(soma.getRadius(), 10)
+    })
+
+    it('detects a stack of cylinders', () => {
+      const soma = parseSoma('1 1 0 0 0 5 -1\n2 1 0 5 0 5 1\n3 1 0 10 0 5 2')
+      assert.strictEqual(soma.getConvention(), 'cylinders')
+      assert.ok(Math.abs(soma.getSurfaceArea() - 2 * Math.PI * 5 * 10) < 1e-9)
+    })
+
+    it('does not take a line of points with the mean distance as radius for a contour', () => {
+      const soma = parseSoma('1 1 0 0 0 5 -1\n2 1 0 7.5 0 5 1\n3 1 0 15 0 5 2')
+      assert.strictEqual(soma.getConvention(), 'cylinders')
+    })
+  })
+
+  describe('somaConvention option', () => {
+    it('uses the convention asked for when the points fit it', () => {
+      const parser = new SwcParser({ somaConvention: 'cylinders' })
+      const diagnostics = parser.parse(contour(0.5))
+      assert.strictEqual(parser.getSoma().getConvention(), 'cylinders')
+      assert.match(diagnostics.getIssuesByType(IssueTypes.SOMA_CONVENTION)[0].message, /detected: contour/)
+    })
+
+    it('warns and uses the one detected when the points do not fit it', () => {
+      const parser = new SwcParser({ somaConvention: 'three-point' })
+      const diagnostics = parser.parse(contour(0.5))
+      assert.strictEqual(parser.getSoma().getConvention(), 'contour')
+      assert.strictEqual(diagnostics.getIssuesBySeverity('warning').length, 1)
+    })
+
+    it('detects the soma contour of an ASC file as a contour', () => {
+      const asc = [
+        '("CellBody"',
+        '  (Color Red)',
+        '  (CellBody)',
+        '  (10 0 0 1)',
+        '  (0 12 0 1)',
+        '  (-10 0 0 1)',
+        '  (0 -12 0 1)',
+        ')',
+      ].join('\n')
+
+      const parser = new AscParser({ somaConvention: 'auto' })
+      const diagnostics = parser.parse(asc)
+      assert.strictEqual(parser.getSoma().getConvention(), 'contour')
+      assert.strictEqual(parser.getSoma().getRadius(), 11)
+
+      const defaultParser = new AscParser()
+      const issues = defaultParser.parse(asc).getIssuesByType(IssueTypes.SOMA_CONVENTION)
+      assert.deepStrictEqual(issues.map(i => i.message), ['The soma is described with the contour convention.'])
+      assert.strictEqual(diagnostics.hasWarnings(), false)
+    })
+  })
+})
@@ -0,0 +1,273 @@
+const assert = require('assert')
+const {
+  SwcParser,
+  SwcParseError,
+  IssueTypes,
+} = require('../src/index').default
+
+const SOMA = '1 1 0 0 0 5 -1'
+
+describe('SwcParser', () => {
+  describe('strict mode', () => {
+    const parseStrict = str => new SwcParser({ mode: 'strict' }).parse(str)
+
+    it('throws a SwcParseError with the line, column and raw text of a bad value', () => {
+      assert.throws(() => parseStrict(`${SOMA}\n2 3 0 x 0 1 1`), (e) => {
+        assert.ok(e instanceof SwcParseError)
+        assert.strictEqual(e.type, IssueTypes.INVALID_NUMBER)
+        assert.strictEqual(e.line, 2)
+        assert.strictEqual(e.column, 4)
+        assert.strictEqual(e.rawText, '2 3 0 x 0 1 1')
+        return true
+      })
+    })
+
+    it('throws on a row that is too short', () => {
+      assert.throws(() => parseStrict(`${SOMA}\n2 3 0 5`), e => e.type === IssueTypes.ROW_TOO_SHORT && e.line === 2)
+    })
+
+    it('throws on an id that is not an integer', () => {
+      assert.throws(() => parseStrict(`${SOMA}\n2.5 3 0 5 0 1 1`), e => e.type === IssueTypes.VALUE_ROUNDED && e.column === 1)
+    })
+
+    it('throws on a parent id that is not a number', () => {
+      assert.throws(() => parseStrict(`${SOMA}\n2 3 0 5 0 1 abc`), e => e.type === IssueTypes.MISSING_PARENT && e.column === 7)
+    })
+
+    it('accepts a clean file', () => {
+      const diagnostics = parseStrict(`${SOMA}\n2 2 0 5 0 1 1`)
+      assert.strictEqual(diagnostics.hasErrors(), false)
+      assert.strictEqual(diagnostics.hasWarnings(), false)
+    })
+  })
+
+  describe('lenient mode', () => {
+    it('keeps the rows it can read and reports every fix', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(`${SOMA}\n2 3 0 5\n3.4 3 0 x 0 1 1`)
+
+      const warnings = diagnostics.getIssuesBySeverity('warning')
+      assert.deepStrictEqual(warnings.map(i => [i.type, i.line]), [
+        [IssueTypes.ROW_TOO_SHORT, 2],
+        [IssueTypes.VALUE_ROUNDED, 3],
+        [IssueTypes.INVALID_NUMBER, 3],
+      ])
+
+      const table = parser.getPointTable()
+      assert.strictEqual(table.getLength(), 2)
+      assert.strictEqual(table.getPoint(1)[0], 3)
+      assert.ok(Number.isNaN(table.getPoint(1)[3]))
+    })
+
+    it('makes a point whose parent id is not a number a root, instead of linking it to 0', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(`2 3 0 20 0 1 abc\n${SOMA.replace(/^1/, '0')}`)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.MISSING_PARENT)
+      assert.strictEqual(issues.length, 1)
+      assert.strictEqual(issues[0].line, 1)
+      assert.match(issues[0].message, /read as -1/)
+      assert.deepStrictEqual(Array.from(parser.getPointTable().getColumn('parentIds')), [-1, -1])
+    })
+
+    it('ignores a row whose id is not a number', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(`${SOMA.replace(/^1/, '0')}\nabc 3 0 5 0 1 0`)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.INVALID_NUMBER)
+      assert.strictEqual(issues.length, 1)
+      assert.match(issues[0].message, /row is ignored/)
+      assert.strictEqual(parser.getPointTable().getLength(), 1)
+    })
+
+    it('ignores a row whose id does not fit in 32 bits instead of wrapping it', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(`${SOMA}\n3000000000 3 0 5 0 1 1`)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.INVALID_NUMBER)
+      assert.strictEqual(issues.length, 1)
+      assert.match(issues[0].message, /out of range.*row is ignored/)
+      assert.deepStrictEqual(Array.from(parser.getPointTable().getColumn('ids')), [1])
+    })
+
+    it('makes a point whose parent id does not fit in 32 bits a root', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(`${SOMA}\n2 3 0 5 0 1 -3000000000`)
+      assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.MISSING_PARENT).length, 1)
+      assert.strictEqual(parser.getPointTable().getColumn('parentIds')[1], -1)
+    })
+
+    it('gives the same points with extractPoints and parsePointTable', () => {
+      const swc = `${SOMA} 7\n2.2 3 0 x 0 1 1 y\n3 x 0 5 0 1 abc 8\n4 3 0 5`
+      const table = new SwcParser().parsePointTable(swc)
+      const points = SwcParser.extractPoints(swc)
+      assert.strictEqual(JSON.stringify(table.toPoints()), JSON.stringify(points))
+    })
+
+    it('reads a type that is not a number as 0', () => {
+      const parser = new SwcParser()
+      parser.parse(`${SOMA}\n2 dendrite 0 5 0 1 1`)
+      assert.strictEqual(parser.getPointTable().getColumn('types')[1], 0)
+    })
+  })
+
+  describe('header metadata', () => {
+    const parseHeader = (header) => {
+      const parser = new SwcParser()
+      parser.parse(`${header.map(l => `# ${l}`).join('\n')}\n${SOMA}`)
+      return parser.getMetadata()
+    }
+
+    it('reads the standard fields, their aliases and the uppercase keys', () => {
+      const metadata = parseHeader(['CREATURE rat', 'Brain region: CA1', 'STAIN: Golgi'])
+      assert.strictEqual(metadata.creature, 'rat')
+      assert.strictEqual(metadata.region, 'CA1')
+      assert.deepStrictEqual(metadata.fields, { CREATURE: 'rat', 'Brain region': 'CA1', STAIN: 'Golgi' })
+      assert.deepStrictEqual(metadata.comments, [])
+    })
+
+    it('keeps a free-form comment with a colon as a comment', () => {
+      const metadata = parseHeader(['Note: traced by hand'])
+      assert.deepStrictEqual(metadata.fields, {})
+      assert.deepStrictEqual(metadata.comments, [{ line: 1, text: 'Note: traced by hand' }])
+    })
+
+    it('keeps a free-form comment with an equal sign as a comment', () => {
+      const metadata = parseHeader(['soma = 3 points'])
+      assert.deepStrictEqual(metadata.fields, {})
+      assert.deepStrictEqual(metadata.comments, [{ line: 1, text: 'soma = 3 points' }])
+    })
+  })
+
+  describe('header corrections', () => {
+    const CORRECTED = `# SCALE 2 4 1\n# SHRINKAGE_CORRECTION 3\n${SOMA}\n2 3 1 1 1 1 1`
+    const secondPoint = parser => parser.getPointTable().getPoint(1).slice(2, 6)
+
+    it('does not apply the corrections by default', () => {
+      const parser = new SwcParser()
+      parser.parse(CORRECTED)
+      assert.deepStrictEqual(secondPoint(parser), [1, 1, 1, 1])
+      assert.deepStrictEqual(parser.getMetadata().appliedCorrections, { scale: null, shrinkageCorrection: null })
+    })
+
+    it('applies the SCALE to the coordinates and its mean x y factor to the radii', () => {
+      const parser = new SwcParser({ applyScale: true })
+      const diagnostics = parser.parse(CORRECTED)
+
+      assert.deepStrictEqual(secondPoint(parser), [2, 4, 1, 3])
+      assert.deepStrictEqual(parser.getMetadata().appliedCorrections.scale, { factors: [2, 4, 1], radiusFactor: 3 })
+      assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.CORRECTION_APPLIED).length, 1)
+    })
+
+    it('applies a single SHRINKAGE_CORRECTION factor to every axis, on top of the SCALE', () => {
+      const parser = new SwcParser({ applyScale: true, applyShrinkageCorrection: true })
+      parser.parse(CORRECTED)
+      assert.deepStrictEqual(secondPoint(parser), [6, 12, 3, 9])
+      assert.deepStrictEqual(parser.getMetadata().appliedCorrections.shrinkageCorrection.factors, [3, 3, 3])
+    })
+
+    it('reports a value that cannot be applied', () => {
+      const parser = new SwcParser({ applyScale: true })
+      const diagnostics = parser.parse(`# SCALE 2 x\n${SOMA}`)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.INVALID_HEADER_VALUE)
+      assert.strictEqual(issues.length, 1)
+      assert.match(issues[0].message, /"2 x"/)
+      assert.strictEqual(parser.getMetadata().appliedCorrections.scale, null)
+    })
+  })
+
+  describe('parseForest', () => {
+    // a cell and two fragments without soma, the last one declared before its root
+    const FOREST = [
+      SOMA,
+      '2 3 0 5 0 1 1',
+      '10 3 50 0 0 1 -1',
+      '11 3 50 10 -2 1 10',
+      '21 2 -30 -4 0 1 20',
+      '20 2 -30 0 0 1 -1',
+    ].join('\n')
+
+    it('gives one morphology per tree, in the order of their root', () => {
+      const trees = new SwcParser().parseForest(FOREST)
+
+      assert.deepStrictEqual(trees.map(t => t.rootId), [1, 10, 20])
+      assert.deepStrictEqual(trees.map(t => t.treeNodeCollection.getNodes().map(n => n.getId())), [
+        [1, 2], [10, 11], [20, 21],
+      ])
+      assert.deepStrictEqual(trees[1].boundingBox, { min: [50, 0, -2], max: [50, 10, 0] })
+      assert.strictEqual(trees[2].rawMorphology.sections[0].typevalue, 2)
+      assert.ok(trees[0].morphology)
+    })
+
+    it('keeps the whole file in the getters', () => {
+      const parser = new SwcParser()
+      parser.parseForest(FOREST)
+      assert.strictEqual(parser.getTreeNodeCollection().getNodes().length, 6)
+      assert.strictEqual(parser.getTreeNodeCollection().getRoots().length, 3)
+      assert.strictEqual(parser.getDiagnostics().hasWarnings(), false)
+    })
+  })
+
+  describe('parseAsync', () => {
+    // a soma with 5 branches of 10 points each
+    const rows = [SOMA]
+    for (let b = 0; b < 5; b += 1) {
+      for (let p = 0; p < 10; p += 1) {
+        const id = 2 + b * 10 + p
+        rows.push(`${id} 3 ${b} ${p + 1} 0 1 ${p ? id - 1 : 1}`)
+      }
+    }
+    const swc = rows.join('\n')
+
+    it('builds the same morphology as parse', async () => {
+      const parser = new SwcParser()
+      await parser.parseAsync(swc, { batchSize: 7 })
+
+      const expected = new SwcParser()
+      expected.parse(swc)
+      assert.deepStrictEqual(parser.getRawMorphology(), expected.getRawMorphology())
+    })
+
+    it('reports the progress of every stage by batches', async () => {
+      const progress = []
+      await new SwcParser().parseAsync(swc, {
+        batchSize: 7,
+        onProgress: p => progress.push(p),
+      })
+
+      const stages = ['tokenizing', 'linking', 'building']
+      stages.forEach((stage) => {
+        assert.ok(progress.filter(p => p.stage === stage).length > 2, stage)
+      })
+      assert.deepStrictEqual(progress.map(p => p.percent), progress.map(p => p.percent)
+        .slice().sort((a, b) => a - b))
+      assert.ok(progress.some(p => p.percent > 85 && p.percent < 100))
+      assert.strictEqual(progress[progress.length - 1].percent, 100)
+    })
+
+    it('stops before building the sections when aborted after the linking', async () => {
+      const controller = new AbortController()
+      const parser = new SwcParser()
+      const stages = []
+      const promise = parser.parseAsync(swc, {
+        batchSize: 7,
+        signal: controller.signal,
+        onProgress: (p) => {
+          stages.push(p.stage)
+          if (p.stage === 'linking' && p.percent === 85) {
+            controller.abort()
+          }
+        },
+      })
+
+      await assert.rejects(promise, e => e.name === 'AbortError')
+      assert.ok(!stages.includes('building'))
+      assert.strictEqual(parser.getMorphology(), null)
+    })
+  })
+
+  it('rejects an unknown mode', () => {
+    assert.throws(() => new SwcParser({ mode: 'sloppy' }), /mode/)
+  })
+})
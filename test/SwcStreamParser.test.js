@@ -0,0 +1,81 @@
+const assert = require('assert')
+const { Readable } = require('stream')
+const {
+  SwcStreamParser,
+  SwcParseError,
+  IssueTypes,
+} = require('../src/index').default
+
+const GOOD = ['1 1 0 0 0 5 -1\n2 3 0 5', ' 0 1 1\n3 3 0 10 0 1 2\n']
+const BAD = ['1 1 0 0 0 5 -1\n', '2 3 0 x 0 1 1\n', '3 3 0 10 0 1 2\n']
+
+function webStream(chunks, onCancel) {
+  let i = 0
+  return new ReadableStream({
+    pull(controller) {
+      if (i < chunks.length) {
+        controller.enqueue(chunks[i])
+        i += 1
+      } else {
+        controller.close()
+      }
+    },
+    cancel: onCancel,
+  })
+}
+
+describe('SwcStreamParser', () => {
+  it('reads a Node stream whose rows are split across chunks', async () => {
+    const parser = new SwcStreamParser()
+    await parser.parseStream(Readable.from(GOOD))
+    assert.strictEqual(parser.getPointTable().getLength(), 3)
+    assert.deepStrictEqual(Array.from(parser.getPointTable().getColumn('parentIds')), [-1, 1, 2])
+  })
+
+  describe('in strict mode', () => {
+    it('rejects with the SwcParseError of a Node stream, destroys it and can be reused', async () => {
+      const parser = new SwcStreamParser({ mode: 'strict' })
+      const stream = Readable.from(BAD)
+
+      await assert.rejects(parser.parseStream(stream), e => e instanceof SwcParseError
+        && e.type === IssueTypes.INVALID_NUMBER && e.line === 2)
+      assert.ok(stream.destroyed)
+
+      await parser.parseStream(Readable.from(GOOD))
+      assert.strictEqual(parser.getPointTable().getLength(), 3)
+    })
+
+    it('rejects with the SwcParseError of a Web stream, cancels it and can be reused', async () => {
+      const parser = new SwcStreamParser({ mode: 'strict' })
+      let cancelReason = null
+
+      await assert.rejects(
+        parser.parseStream(webStream(BAD, (reason) => { cancelReason = reason })),
+        e => e instanceof SwcParseError && e.line === 2,
+      )
+      assert.ok(cancelReason instanceof SwcParseError)
+
+      await parser.parseStream(webStream(GOOD))
+      assert.strictEqual(parser.getPointTable().getLength(), 3)
+    })
+
+    it('can be reused after an error on the last unterminated line', () => {
+      const parser = new SwcStreamParser({ mode: 'strict' })
+      parser.push('1 1 0 0 0 5 -1\n2 3 0 x 0 1 1')
+      assert.throws(() => parser.end(), e => e.type === IssueTypes.INVALID_NUMBER && e.line === 2)
+
+      GOOD.forEach(chunk => parser.push(chunk))
+      const diagnostics = parser.end()
+      assert.strictEqual(diagnostics.hasWarnings() || diagnostics.hasErrors(), false)
+      assert.deepStrictEqual(Array.from(parser.getPointTable().getColumn('lines')), [1, 2, 3])
+    })
+
+    it('can be reused after an error when building the morphology', async () => {
+      const parser = new SwcStreamParser({ mode: 'strict' })
+      await assert.rejects(parser.parseStream(Readable.from(['1 1 0 0 0 5 -1\n2 3 0 5 0 1 9\n'])), e => e.type === IssueTypes.MISSING_PARENT)
+
+      await parser.parseStream(Readable.from(GOOD))
+      assert.strictEqual(parser.getPointTable().getLength(), 3)
+    })
+  })
+})
@@ -0,0 +1,163 @@
+const assert = require('assert')
+const { SwcParser, SwcWriter, SwcTypeRegistry } = require('../src/index').default
+
+// ids that are not in order, a child declared before its sibling, types 2 and 3, a header
+const SWC = [
+  '# ORIGINAL_SOURCE test',
+  '# some comment',
+  '#',
+  '# SCALE 1 1 1',
+  '1 1 0 0 0 5 -1',
+  '2 3 0 5 0 1 1',
+  '3 3 0 10 0 1 2',
+  '5 3 3 12 0 1 3',
+  '4 3 -3 12 0 1 3',
+  '6 2 0 -5 0 1 1',
+  '7 2 0 -9.5 0.25 0.5 6',
+  '',
+].join('\n')
+
+// a child declared before its parent
+const UNORDERED = [
+  '1 1 0 0 0 5 -1',
+  '3 3 0 10.123456 0 1 2',
+  '2 3 0 5 0 1 1',
+].join('\n')
+
+/**
+ * @param {String} swc - a SWC string
+ * @return {SwcParser} the parser, once the string is parsed
+ */
+function parse(swc) {
+  const parser = new SwcParser()
+  parser.parse(swc)
+  return parser
+}
+
+/**
+ * @param {String} swc - the written SWC string
+ * @return {Array} the rows, without the header, as arrays of strings
+ */
+function readRows(swc) {
+  return swc.split('\n').filter(line => line && !line.startsWith('#')).map(line => line.split(' '))
+}
+
+describe('SwcWriter', () => {
+  describe('sources', () => {
+    it('writes a TreeNodeCollection with its ids, the parents before their children', () => {
+      const rows = readRows(new SwcWriter().write(parse(UNORDERED).getTreeNodeCollection()))
+      assert.deepStrictEqual(rows.map(r => [r[0], r[6]]), [['1', '-1'], ['2', '1'], ['3', '2']])
+      assert.deepStrictEqual(rows[2], ['3', '3', '0', '10.123456', '0', '1', '2'])
+    })
+
+    it('writes a raw morphology, numbering the points from 1', () => {
+      const rows = readRows(new SwcWriter().write(parse(UNORDERED).getRawMorphology()))
+      assert.deepStrictEqual(rows.map(r => r.slice(0, 2).concat(r[6])), [
+        ['1', '1', '-1'], ['2', '3', '1'], ['3', '3', '2'],
+      ])
+    })
+
+    it('writes a Morphology', () => {
+      const rows = readRows(new SwcWriter().write(parse(UNORDERED).getMorphology()))
+      assert.deepStrictEqual(rows.map(r => r.slice(0, 7)), [
+        ['1', '1', '0', '0', '0', '5', '-1'],
+        ['2', '3', '0', '5', '0', '1', '1'],
+        ['3', '3', '0', '10.123456', '0', '1', '2'],
+      ])
+    })
+
+    it('rejects anything else', () => {
+      assert.throws(() => new SwcWriter().write({ points: [] }), /source/)
+    })
+  })
+
+  describe('options', () => {
+    it('writes the numbers with the precision asked for', () => {
+      const rows = readRows(new SwcWriter({ precision: 2 }).write(parse(UNORDERED).getTreeNodeCollection()))
+      assert.deepStrictEqual(rows[2].slice(2, 6), ['0.00', '10.12', '0.00', '1.00'])
+    })
+
+    it('renumbers the points in the order they are written', () => {
+      const rows = readRows(new SwcWriter({ renumber: true }).write(parse('5 1 0 0 0 5 -1\n9 3 0 5 0 1 5').getTreeNodeCollection()))
+      assert.deepStrictEqual(rows.map(r => [r[0], r[6]]), [['1', '-1'], ['2', '1']])
+    })
+
+    it('builds the header from the metadata', () => {
+      const parser = parse('# CREATURE rat\n# drawn by hand\n1 1 0 0 0 5 -1')
+      const metadata = Object.assign({}, parser.getMetadata(), { headerLines: null })
+      const header = new SwcWriter({ metadata })
+        .write(parser.getTreeNodeCollection())
+        .split('\n')
+        .filter(line => line.startsWith('#'))
+      assert.deepStrictEqual(header, ['# CREATURE rat', '# drawn by hand'])
+    })
+
+    it('writes the SCALE applied while parsing as a comment, so that it is not applied twice', () => {
+      const parser = new SwcParser({ applyScale: true })
+      parser.parse('# SCALE 2 2 2\n1 1 0 0 0 5 -1\n2 3 0 5 0 1 1')
+      const written = new SwcWriter({ metadata: parser.getMetadata() })
+        .write(parser.getTreeNodeCollection())
+      assert.ok(written.startsWith('# Already applied to the coordinates: SCALE 2 2 2\n'))
+
+      const again = new SwcParser({ applyScale: true })
+      again.parse(written)
+      assert.deepStrictEqual(again.getPointTable().getPoint(1).slice(2, 6), [0, 10, 0, 2])
+      assert.strictEqual(again.getMetadata().appliedCorrections.scale, null)
+    })
+
+    it('writes the header given, or none', () => {
+      const collection = parse(UNORDERED).getTreeNodeCollection()
+      assert.ok(new SwcWriter({ header: ['written by a test'] }).write(collection).startsWith('# written by a test\n1 1'))
+      assert.ok(new SwcWriter({ header: false }).write(collection).startsWith('1 1'))
+    })
+  })
+
+  it('writes a soma of a custom type only once, with the type registry', () => {
+    const typeRegistry = new SwcTypeRegistry()
+      .register(10, { name: 'cell_body', category: 'soma' })
+    const parser = new SwcParser({ typeRegistry })
+    parser.parse('1 10 0 0 0 5 -1\n2 3 0 5 0 1 1\n3 3 0 10 0 1 2')
+
+    const rows = new SwcWriter({ typeRegistry, header: false })
+      .write(parser.getRawMorphology())
+      .trim()
+      .split('\n')
+    assert.deepStrictEqual(rows.map(r => r.split(' ')[1]), ['10', '3', '3'])
+  })
+
+  describe('lossless round trip', () => {
+    it('writes back the same file from the raw morphology', () => {
+      const parser = new SwcParser({ lossless: true })
+      parser.parse(SWC)
+      assert.strictEqual(new SwcWriter().write(parser.getRawMorphology()), SWC)
+    })
+
+    it('keeps the ids, types and parents from the TreeNodeCollection', () => {
+      const parser = new SwcParser({ lossless: true })
+      parser.parse(SWC)
+      const rows = new SwcWriter().write(parser.getTreeNodeCollection())
+        .split('\n')
+        .filter(line => line && !line.startsWith('#'))
+
+      const original = SWC.split('\n').filter(line => line && !line.startsWith('#'))
+      assert.deepStrictEqual(rows.slice().sort(), original.slice().sort())
+    })
+
+    it('gives the same morphology when the output is parsed again', () => {
+      const parser = new SwcParser({ lossless: true })
+      parser.parse(SWC)
+      const again = new SwcParser({ lossless: true })
+      again.parse(new SwcWriter().write(parser.getRawMorphology()))
+      assert.deepStrictEqual(again.getRawMorphology().sections, parser.getRawMorphology().sections)
+    })
+  })
+
+  it('renumbers the points without the lossless mode', () => {
+    const parser = new SwcParser()
+    parser.parse(SWC)
+    const rows = new SwcWriter().write(parser.getRawMorphology())
+      .split('\n')
+      .filter(line => line && !line.startsWith('#'))
+    assert.deepStrictEqual(rows.map(row => Number(row.split(' ')[0])), [1, 2, 3, 4, 5, 6, 7])
+  })
+})
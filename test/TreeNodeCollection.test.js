@@ -0,0 +1,241 @@
+const assert = require('assert')
+const { SwcParser, SwcParseError, IssueTypes } = require('../src/index').default
+
+/**
+ * Build a SWC string with a soma and a single unbranched axon
+ * @param {Number} length - number of axon points
+ * @return {String}
+ */
+function buildLongAxon(length) {
+  const rows = ['1 1 0 0 0 5 -1']
+  for (let i = 2; i <= length + 1; i += 1) {
+    rows.push(`${i} 2 ${i} 0 0 0.5 ${i - 1}`)
+  }
+  return rows.join('\n')
+}
+
+/**
+ * Get the y coordinates of the points of every neurite section, to tell the points apart
+ * @param {SwcParser} parser - a parser that parsed a file
+ * @return {Array} an Array of y coordinates per section
+ */
+function getNeuriteYs(parser) {
+  return parser.getRawMorphology().sections
+    .filter(s => s.typevalue !== 1)
+    .map(s => s.points.map(p => p.position[1]))
+}
+
+describe('TreeNodeCollection', () => {
+  describe('section building', () => {
+    it('builds a section of 1M points without overflowing the stack', function longAxon() {
+      this.timeout(120000)
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(buildLongAxon(1000000))
+
+      assert.strictEqual(diagnostics.hasErrors(), false)
+      const { sections } = parser.getRawMorphology()
+      assert.strictEqual(sections.length, 2)
+      // the axon section starts with the soma point
+      assert.strictEqual(sections[1].points.length, 1000001)
+      assert.strictEqual(parser.getMorphology().getArrayOfSections().length, 2)
+    })
+  })
+
+  describe('axon origins', () => {
+    it('gives the origins in the order of the file, not of the ids', () => {
+      const parser = new SwcParser()
+      parser.parse('1 1 0 0 0 5 -1\n20 2 0 5 0 1 1\n21 2 0 9 0 1 20\n10 2 0 -5 0 1 1')
+
+      const origins = parser.getTreeNodeCollection().getAxonOrigins()
+      assert.deepStrictEqual(origins.map(n => n.getId()), [20, 10])
+      assert.strictEqual(parser.getAxonOrigin().getId(), 20)
+    })
+  })
+
+  describe('missing parents', () => {
+    // the point 3 refers to the point 9, that was pruned, and has a child
+    const PRUNED = '1 1 0 0 0 5 -1\n2 3 0 5 0 1 1\n3 3 0 20 0 1 9\n4 3 0 25 0 1 3'
+
+    it('throws a SwcParseError with the line and point id in strict mode', () => {
+      assert.throws(() => new SwcParser({ mode: 'strict' }).parse(PRUNED), (e) => {
+        assert.ok(e instanceof SwcParseError)
+        assert.strictEqual(e.type, IssueTypes.MISSING_PARENT)
+        assert.strictEqual(e.line, 3)
+        assert.strictEqual(e.pointId, 3)
+        return true
+      })
+    })
+
+    it('throws with onMissingParent: error in lenient mode', () => {
+      assert.throws(() => new SwcParser({ onMissingParent: 'error' }).parse(PRUNED), e => e.type === IssueTypes.MISSING_PARENT)
+    })
+
+    it('makes the point the root of a new tree in lenient mode', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(PRUNED)
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.MISSING_PARENT)
+      assert.deepStrictEqual(issues.map(i => [i.line, i.pointId, i.severity]), [[3, 3, 'warning']])
+
+      // 3 and 4 make a section of their own, with no parent
+      const { sections } = parser.getRawMorphology()
+      const pruned = sections.find(s => s.points[0].position[1] === 20)
+      assert.strictEqual(pruned.parent, null)
+      assert.strictEqual(pruned.points.length, 2)
+    })
+
+    it('rejects an unknown policy', () => {
+      assert.throws(() => new SwcParser({ onMissingParent: 'ignore' }), /onMissingParent/)
+    })
+  })
+
+  describe('cycles', () => {
+    // 2 -> 4 -> 3 -> 2, the link from 3 to 4 being the longest one
+    const LOOP = '1 1 0 0 0 5 -1\n2 3 0 1 0 1 4\n3 3 0 2 0 1 2\n4 3 0 30 0 1 3'
+
+    it('throws a SwcParseError with the ids of the loop in strict mode', () => {
+      assert.throws(() => new SwcParser({ mode: 'strict' }).parse(LOOP), (e) => {
+        assert.ok(e instanceof SwcParseError)
+        assert.strictEqual(e.type, IssueTypes.CYCLE)
+        assert.deepStrictEqual(e.pointIds.slice().sort(), [2, 3, 4])
+        return true
+      })
+    })
+
+    it('throws with onCycle: error in lenient mode', () => {
+      assert.throws(() => new SwcParser({ onCycle: 'error' }).parse(LOOP), e => e.type === IssueTypes.CYCLE)
+    })
+
+    it('breaks a self-parent link in lenient mode by default', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse('1 1 0 0 0 5 -1\n2 3 0 1 0 1 2')
+      assert.strictEqual(diagnostics.getIssuesByType(IssueTypes.CYCLE).length, 1)
+      assert.deepStrictEqual(parser.getRawMorphology().sections.map(s => s.parent), [null, null])
+    })
+
+    it('breaks the loop at the longest link with onCycle: break', () => {
+      const parser = new SwcParser({ onCycle: 'break' })
+      const diagnostics = parser.parse(LOOP)
+
+      const [cycle] = diagnostics.getIssuesByType(IssueTypes.CYCLE)
+      assert.deepStrictEqual(cycle.pointIds.slice().sort(), [2, 3, 4])
+      assert.strictEqual(cycle.pointId, 2)
+
+      // 2 becomes the root of a tree 2 -> 3 -> 4
+      const { sections } = parser.getRawMorphology()
+      assert.strictEqual(sections.length, 2)
+      const loop = sections.find(s => s.points[0].position[1] === 1)
+      assert.strictEqual(loop.parent, null)
+      assert.strictEqual(loop.points.length, 3)
+    })
+  })
+
+  describe('duplicate ids', () => {
+    // the id 2 is declared on the lines 2 and 3, and 3 comes after both
+    const DUPLICATES = '1 1 0 0 0 5 -1\n2 3 0 1 0 1 1\n2 3 0 9 0 1 1\n3 3 0 2 0 1 2'
+
+    const parseWith = (onDuplicateId) => {
+      const parser = new SwcParser({ onDuplicateId })
+      const diagnostics = parser.parse(DUPLICATES)
+      return { diagnostics, parser }
+    }
+
+    it('reports every collision with both line numbers', () => {
+      ['keep-first', 'keep-last', 'renumber'].forEach((policy) => {
+        const issues = parseWith(policy).diagnostics.getIssuesByType(IssueTypes.DUPLICATE_ID)
+        assert.strictEqual(issues.length, 1)
+        assert.deepStrictEqual(issues[0].lines, [2, 3])
+        assert.strictEqual(issues[0].pointId, 2)
+      })
+    })
+
+    it('throws in strict mode or with onDuplicateId: error', () => {
+      assert.throws(() => new SwcParser({ mode: 'strict' }).parse(DUPLICATES), e => e.type === IssueTypes.DUPLICATE_ID && e.line === 3)
+      assert.throws(() => parseWith('error'), SwcParseError)
+    })
+
+    it('keeps the first declaration with keep-first', () => {
+      const { parser } = parseWith('keep-first')
+      assert.deepStrictEqual(getNeuriteYs(parser), [[0, 1, 2]])
+    })
+
+    it('keeps the last declaration with keep-last', () => {
+      const { parser } = parseWith('keep-last')
+      assert.deepStrictEqual(getNeuriteYs(parser), [[0, 9, 2]])
+    })
+
+    it('gives a new id to the last declaration with renumber', () => {
+      const { parser } = parseWith('renumber')
+      // the child refers to the declaration just before it
+      assert.deepStrictEqual(getNeuriteYs(parser).sort(), [[0, 1], [0, 9, 2]])
+    })
+  })
+
+  describe('somas', () => {
+    // two cells, the second one with a soma of two points, and a tree without soma
+    const CELLS = [
+      '1 1 0 0 0 5 -1',
+      '2 3 0 5 0 1 1',
+      '3 3 0 10 0 1 2',
+      '10 1 100 0 0 4 -1',
+      '11 1 100 4 0 4 10',
+      '12 2 100 -5 0 1 10',
+      '20 3 200 0 0 1 -1',
+    ].join('\n')
+
+    it('finds every soma and reports them', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse(CELLS)
+
+      const collection = parser.getTreeNodeCollection()
+      assert.deepStrictEqual(collection.getSomas().map(s => s.getPointIds()), [[1], [10, 11]])
+      assert.strictEqual(collection.getSoma(), collection.getSomas()[0])
+      assert.deepStrictEqual(diagnostics.getIssuesByType(IssueTypes.MULTIPLE_SOMAS)[0].pointIds, [1, 10])
+    })
+
+    it('gives the soma id of the points and of the sections', () => {
+      const parser = new SwcParser()
+      parser.parse(CELLS)
+
+      const collection = parser.getTreeNodeCollection()
+      assert.deepStrictEqual([3, 11, 12, 20].map(id => collection.getSomaIdOf(id)), [0, 1, 1, null])
+
+      const raw = parser.getRawMorphology()
+      assert.deepStrictEqual(raw.somas.map(s => s.id), [0, 1])
+      raw.sections.forEach((section) => {
+        const x = section.points[section.points.length - 1].position[0]
+        assert.strictEqual(section.somaId, { 0: 0, 100: 1, 200: null }[x])
+      })
+    })
+
+    it('splits the cells, leaving out the trees without soma', () => {
+      const parser = new SwcParser()
+      parser.parse(CELLS)
+
+      const cells = parser.splitCells()
+      assert.deepStrictEqual(cells.map(c => c.getNodes().map(n => n.getId())), [[1, 2, 3], [10, 11, 12]])
+      assert.deepStrictEqual(cells.map(c => c.getSomas().length), [1, 1])
+    })
+
+    it('gives the soma points inside a neurite the type of the neurite', () => {
+      const parser = new SwcParser()
+      const diagnostics = parser.parse('1 1 0 0 0 5 -1\n2 3 0 5 0 1 1\n3 1 0 10 0 1 2\n4 3 0 15 0 1 3')
+
+      const issues = diagnostics.getIssuesByType(IssueTypes.SOMA_IN_NEURITE)
+      assert.strictEqual(issues.length, 1)
+      assert.deepStrictEqual(issues[0].pointIds, [3])
+
+      const collection = parser.getTreeNodeCollection()
+      assert.deepStrictEqual(collection.getSomas().map(s => s.getPointIds()), [[1]])
+      const node = collection.getNodes().find(n => n.getId() === 3)
+      assert.strictEqual(node.getType(), 3)
+      assert.strictEqual(node.isSoma(), false)
+
+      // the dendrite is a single section, from the soma to its last point
+      const { sections } = parser.getRawMorphology()
+      assert.strictEqual(sections.length, 2)
+      assert.strictEqual(sections[1].typevalue, 3)
+      assert.strictEqual(sections[1].points.length, 4)
+    })
+  })
+})
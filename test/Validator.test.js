@@ -0,0 +1,80 @@
+const assert = require('assert')
+const { SwcParser, Validator, IssueTypes } = require('../src/index').default
+
+// every default rule finds something once
+const FLAWED = [
+  '1 1 0 0 0 5 -1',
+  '3 3 0 5 0 1 1',
+  '2 3 0 6 0 1 3', // parent with a larger id
+  '4 3 0 6 0 1 2', // same position as its parent
+  '5 4 0 7 0 1 4', // type change in the middle of a branch
+  '6 4 0 200 0 0 5', // long segment, radius of 0, trifurcation
+  '7 4 1 201 0 1 6',
+  '8 4 -1 201 0 1 6',
+  '9 4 0 202 0 1 6',
+].join('\n')
+
+/**
+ * @param {String} swc - a SWC string
+ * @param {Validator} validator - the validator (default: the default rules)
+ * @return {Diagnostics} the findings of the validator, once the string is parsed
+ */
+function validate(swc, validator = new Validator()) {
+  const parser = new SwcParser()
+  parser.parse(swc)
+  return parser.validate(validator)
+}
+
+describe('Validator', () => {
+  it('runs the default rules with the ids and lines of the points involved', () => {
+    const report = validate(FLAWED)
+    const found = report.getIssues().map(i => [i.type, i.pointIds])
+
+    assert.deepStrictEqual(found, [
+      [IssueTypes.PARENT_ID_LARGER, [2, 3]],
+      [IssueTypes.NON_POSITIVE_RADIUS, [6]],
+      [IssueTypes.DUPLICATE_POSITION, [4, 2]],
+      [IssueTypes.LONG_SEGMENT, [6, 5]],
+      [IssueTypes.TYPE_CHANGE, [5, 4]],
+      [IssueTypes.TRIFURCATION, [6, 7, 8, 9]],
+    ])
+    assert.deepStrictEqual(report.getIssuesByType(IssueTypes.PARENT_ID_LARGER)[0].lines, [3, 2])
+  })
+
+  it('gives the params to the rules', () => {
+    const report = validate(FLAWED, new Validator({ maxSegmentLength: 500, maxChildren: 2 }))
+    assert.strictEqual(report.getIssuesByType(IssueTypes.LONG_SEGMENT).length, 0)
+    assert.deepStrictEqual(report.getIssuesByType(IssueTypes.TOO_MANY_CHILDREN)[0].pointIds, [6, 7, 8, 9])
+  })
+
+  it('finds a tree whose root is not a soma point while parsing', () => {
+    const parser = new SwcParser({ validate: true })
+    const diagnostics = parser.parse('1 3 0 0 0 1 -1\n2 1 0 5 0 5 1')
+    assert.deepStrictEqual(diagnostics.getIssuesByType(IssueTypes.SOMA_NOT_ROOT)[0].pointIds, [1, 2])
+  })
+
+  it('runs the registered rules and leaves out the removed ones', () => {
+    const validator = new Validator()
+      .remove(IssueTypes.TRIFURCATION)
+      .register({
+        name: 'THIN_POINT',
+        severity: 'error',
+        check: (collection, params) => collection.getNodes()
+          .filter(n => n.getRadius() < params.minRadius)
+          .map(n => ({ message: `${n.getId()} is thin.`, pointIds: [n.getId()] })),
+      })
+      .setParams({ minRadius: 0.5 })
+
+    const report = validate(FLAWED, validator)
+    assert.strictEqual(validator.has(IssueTypes.TRIFURCATION), false)
+    assert.strictEqual(report.getIssuesByType(IssueTypes.TRIFURCATION).length, 0)
+    assert.deepStrictEqual(report.getIssuesBySeverity('error').map(i => i.pointId), [6])
+  })
+
+  it('rejects a rule without name, check function or valid severity', () => {
+    const validator = new Validator()
+    assert.throws(() => validator.register({ check: () => [] }), /name/)
+    assert.throws(() => validator.register({ name: 'A' }), /check/)
+    assert.throws(() => validator.register({ name: 'A', check: () => [], severity: 'fatal' }), /severity/)
+  })
+})
@@ -0,0 +1,121 @@
+const assert = require('assert')
+const {
+  SwcParser,
+  SwcParseError,
+  SwcTypeRegistry,
+  Validator,
+  parseInWorker,
+} = require('../src/index').default
+
+const SWC = '1 1 0 0 0 5 -1\n2 3 0 5 0 1 1\n3 3 0 10 0 1 2'
+
+/**
+ * A Worker that runs the worker entry point on the same thread. The messages are
+ * cloned both ways, and the typed arrays transferred, as they would be by a browser.
+ */
+class FakeWorker {
+  constructor() {
+    this.listeners = []
+    this.terminated = false
+
+    // the worker entry point talks to the global `self`
+    global.self = {
+      postMessage: (data, transfer) => {
+        const event = { data: structuredClone(data, { transfer }) }
+        setTimeout(() => this.listeners.slice().forEach(l => l(event)), 0)
+      },
+    }
+    delete require.cache[require.resolve('../src/worker')]
+    require('../src/worker')
+    this.scope = global.self
+    delete global.self
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'message') {
+      this.listeners.push(listener)
+    }
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(l => l !== listener)
+  }
+
+  postMessage(data) {
+    const event = { data: structuredClone(data) }
+    setTimeout(() => this.scope.onmessage(event), 0)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+}
+
+describe('parseInWorker', () => {
+  it('gives the same results as a SwcParser on the calling thread', async () => {
+    const result = await parseInWorker(SWC, { worker: new FakeWorker() })
+
+    const parser = new SwcParser()
+    parser.parse(SWC)
+    assert.deepStrictEqual(result.rawMorphology, parser.getRawMorphology())
+    assert.deepStrictEqual(result.pointTable.toPoints(), parser.getPointTable().toPoints())
+    assert.deepStrictEqual(result.pointIndex.getLocation(3), parser.getPointIndex().getLocation(3))
+    assert.deepStrictEqual(result.diagnostics.toJSON(), parser.getDiagnostics().toJSON())
+    assert.strictEqual(result.morphology.getArrayOfSections().length, 2)
+  })
+
+  it('rejects with a SwcParseError in strict mode', async () => {
+    const promise = parseInWorker('1 1 0 0 0 5 -1\n2 3 0 x 0 1 1', {
+      worker: new FakeWorker(),
+      parseOptions: { mode: 'strict' },
+    })
+    await assert.rejects(promise, e => e instanceof SwcParseError && e.line === 2 && e.column === 4)
+  })
+
+  it('keeps a worker that is given, for several files at once', async () => {
+    const worker = new FakeWorker()
+    const results = await Promise.all([
+      parseInWorker(SWC, { worker }),
+      parseInWorker('1 1 0 0 0 5 -1', { worker }),
+    ])
+
+    assert.deepStrictEqual(results.map(r => r.pointTable.getLength()), [3, 1])
+    assert.strictEqual(worker.terminated, false)
+    assert.strictEqual(worker.listeners.length, 0)
+  })
+
+  it('terminates the worker it creates from the URL', async () => {
+    const workers = []
+    global.Worker = class extends FakeWorker {
+      constructor(url) {
+        super()
+        this.url = url
+        workers.push(this)
+      }
+    }
+
+    try {
+      await parseInWorker(SWC, { workerUrl: 'swcmorphologyparser.worker.js' })
+    } finally {
+      delete global.Worker
+    }
+    assert.deepStrictEqual(workers.map(w => [w.url, w.terminated]), [['swcmorphologyparser.worker.js', true]])
+  })
+
+  it('sends the type registry', async () => {
+    const typeRegistry = new SwcTypeRegistry().register(10, { name: 'cell_body', category: 'soma' })
+    const result = await parseInWorker('1 10 0 0 0 5 -1\n2 3 0 5 0 1 1', {
+      worker: new FakeWorker(),
+      parseOptions: { typeRegistry },
+    })
+    assert.strictEqual(result.rawMorphology.soma.points.length, 1)
+  })
+
+  it('rejects without a worker, or with a Validator that cannot be sent', async () => {
+    await assert.rejects(parseInWorker(SWC), /worker/)
+    await assert.rejects(parseInWorker(SWC, {
+      worker: new FakeWorker(),
+      parseOptions: { validate: new Validator() },
+    }), /Validator/)
+  })
+})
@@ -0,0 +1,5 @@
+// The sources are ES modules: they are compiled to CommonJS on the fly for mocha
+require('@babel/register')({
+  plugins: ['@babel/plugin-transform-modules-commonjs'],
+  only: [/\/src\//, /\/test\//],
+})